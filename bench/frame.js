@@ -0,0 +1,79 @@
+//
+//
+//
+
+// Frame parsing throughput. Run with `make bench`, or
+//
+//     node bench/frame.js [body size in bytes] [chunk size in bytes]
+//
+// This sends a message with a large body through the framing, then
+// feeds the bytes to a connection in small chunks, as they might
+// arrive from the network, and times how long it takes to parse them
+// back into frames.
+
+'use strict';
+
+var PassThrough = require('stream').PassThrough;
+var Buffer = require('safe-buffer').Buffer;
+var Connection = require('../lib/connection').Connection;
+var defs = require('../lib/defs');
+var now = require('../lib/heartbeat').now;
+
+var BODY_SIZE = parseInt(process.argv[2]) || 32 * 1024 * 1024;
+var CHUNK_SIZE = parseInt(process.argv[3]) || 1460; // a TCP segment
+var FRAME_MAX = 131072;
+var RUNS = 5;
+
+function encodeMessage(body) {
+  var out = new PassThrough({objectMode: true});
+  var c = new Connection(out);
+  c.frameMax = FRAME_MAX;
+  c.sendMessage(0, defs.BasicDeliver, {
+    consumerTag: 'bench', deliveryTag: 1, redelivered: false,
+    exchange: '', routingKey: 'bench'
+  }, defs.BasicProperties, {}, body);
+  var bufs = [], buf;
+  while ((buf = out.read()) !== null) bufs.push(buf);
+  return Buffer.concat(bufs);
+}
+
+function chunk(bytes, size) {
+  var chunks = [];
+  for (var i = 0; i < bytes.length; i += size) {
+    chunks.push(bytes.slice(i, i + size));
+  }
+  return chunks;
+}
+
+function run(chunks) {
+  var input = new PassThrough({objectMode: true});
+  var c = new Connection(input);
+  c.frameMax = FRAME_MAX;
+  var frames = 0, bytes = 0;
+  var start = now();
+  chunks.forEach(function(ch) {
+    input.write(ch);
+    var f;
+    while ((f = c.recvFrame())) {
+      frames++;
+      if (f.content) bytes += f.content.length;
+    }
+  });
+  return {frames: frames, bytes: bytes, ms: now() - start};
+}
+
+var encoded = encodeMessage(Buffer.alloc(BODY_SIZE, 'x'));
+var chunks = chunk(encoded, CHUNK_SIZE);
+console.log('%d byte body, frame max %d, read in %d chunks of %d bytes',
+            BODY_SIZE, FRAME_MAX, chunks.length, CHUNK_SIZE);
+
+for (var i = 0; i < RUNS; i++) {
+  var result = run(chunks);
+  if (result.bytes !== BODY_SIZE) {
+    throw new Error('Expected ' + BODY_SIZE + ' bytes of content; got ' +
+                    result.bytes);
+  }
+  console.log('run %d: %d frames in %s ms, %s MB/s', i + 1, result.frames,
+              result.ms.toFixed(1),
+              (BODY_SIZE / 1048576 / (result.ms / 1000)).toFixed(1));
+}
@@ -121,10 +121,23 @@ nl()
 println('var codec = require("./codec");');
 println('var ints = require("buffer-more-ints");');
 println('var encodeTable = codec.encodeTable;');
+println('var tableSize = codec.tableSize;');
 println('var decodeFields = codec.decodeFields;');
+println('var writeUInt64BE = codec.writeUInt64BE;');
 nl();
 
 println('var SCRATCH = Buffer.alloc(16384);');
+// Tables are encoded into SCRATCH where they fit; see assignTable
+println('function encodeScratchTable(val, offset) {');
+println('var size = tableSize(val);');
+println('if (offset + size > SCRATCH.length) {');
+println('var own = Buffer.alloc(size);');
+println('encodeTable(own, val, 0);');
+println('return own;');
+println('}');
+println('encodeTable(SCRATCH, val, offset);');
+println('return SCRATCH.slice(offset, offset + size);');
+println('}');
 println('var EMPTY_OBJECT = Object.freeze({});');
 
 println('module.exports.constants = %s',
@@ -136,15 +149,20 @@ nl();
 println('module.exports.FRAME_OVERHEAD = %d;', FRAME_OVERHEAD);
 nl();
 
-println('module.exports.decode = function(id, buf) {');
+// With `bigint` true, longlong and timestamp fields (and 64-bit
+// integers in tables) are decoded as BigInt values; with `dates`
+// true, timestamps (including those in tables) are decoded as Dates
+println('module.exports.decode = function(id, buf, bigint, dates) {');
 println('switch (id) {');
 for (var m in methods) {
   var method = methods[m];
-  println('case %d: return %s(buf);', method.id, method.decoder);
+  println('case %d: return %s(buf, bigint, dates);',
+          method.id, method.decoder);
 }
 for (var p in propertieses) {
   var props = propertieses[p];
-  println('case %d: return %s(buf);', props.id,  props.decoder);
+  println('case %d: return %s(buf, bigint, dates);',
+          props.id,  props.decoder);
 }
 println('default: throw new Error("Unknown class/method ID");');
 println('}}'); nl();
@@ -214,9 +232,10 @@ function valTypeTest(arg) {
   case 'bit':       return 'true'
   case 'octet':
   case 'short':
-  case 'long':
+  case 'long':      return "typeof val === 'number' && !isNaN(val)";
   case 'longlong':
-  case 'timestamp': return "typeof val === 'number' && !isNaN(val)";
+  case 'timestamp': return "(typeof val === 'number' && !isNaN(val))" +
+      " || typeof val === 'bigint'";
   case 'shortstr':  return "typeof val === 'string' &&" +
       " Buffer.byteLength(val) < 256";
   case 'longstr':   return "Buffer.isBuffer(val)";
@@ -229,9 +248,9 @@ function typeDesc(t) {
   case 'bit':       return 'booleany';
   case 'octet':
   case 'short':
-  case 'long':
+  case 'long':      return "a number (but not NaN)";
   case 'longlong':
-  case 'timestamp': return "a number (but not NaN)";
+  case 'timestamp': return "a number (but not NaN) or a BigInt";
   case 'shortstr':  return "a string (up to 255 chars)";
   case 'longstr':   return "a Buffer";
   case 'table':     return "an object";
@@ -280,17 +299,17 @@ function checkAssignArg(a) {
 
 // Emit code for encoding `val` as a table and assign to a fresh
 // variable (based on the arg name). I use a scratch buffer to compose
-// the encoded table, otherwise I'd have to do a size calculation pass
-// first. I can get away with this only because 1. the encoding
-// procedures are not re-entrant; and, 2. I copy the result into
-// another buffer before returning. `scratchOffset`, `val`, `len` are
-// expected to have been declared.
+// the encoded table, to save allocating a buffer for each one. I can
+// get away with this only because 1. the encoding procedures are not
+// re-entrant; and, 2. I copy the result into another buffer before
+// returning. The size of the table is calculated first, and if it
+// won't fit in what's left of the scratch buffer, it gets a buffer of
+// its own. `scratchOffset` and `val` are expected to have been
+// declared.
 function assignTable(a) {
   var varname = tableVar(a);
-  println(
-    "len = encodeTable(SCRATCH, val, scratchOffset);");
-  println('var %s = SCRATCH.slice(scratchOffset, scratchOffset + len);', varname);
-  println('scratchOffset += len;');
+  println('var %s = encodeScratchTable(val, scratchOffset);', varname);
+  println('scratchOffset += %s.length;', varname);
 }
 
 function tableVar(a) {
@@ -402,7 +421,7 @@ function encoderFn(method) {
     case 'longlong':
     case 'timestamp':
       checkAssignArg(a);
-      println('ints.writeUInt64BE(buffer, val, offset); offset += 8;');
+      println('writeUInt64BE(buffer, val, offset); offset += 8;');
       break;
     case 'bit':
       checkAssignArg(a);
@@ -453,9 +472,24 @@ function fieldsDecl(args) {
   println('};');
 }
 
+// A longlong or timestamp; see `decode` for `bigint` and `dates`.
+// Timestamps are in seconds.
+function decodeUInt64(type) {
+  if (type === 'timestamp') {
+    println('if (dates) val = new Date(ints.readUInt64BE(buffer, offset) * 1000);');
+    println('else val = (bigint) ? buffer.readBigUInt64BE(offset)' +
+            ' : ints.readUInt64BE(buffer, offset);');
+  }
+  else {
+    println('val = (bigint) ? buffer.readBigUInt64BE(offset)' +
+            ' : ints.readUInt64BE(buffer, offset);');
+  }
+  println('offset += 8;');
+}
+
 function decoderFn(method) {
   var args = method.args;
-  println('function %s(buffer) {', method.decoder);
+  println('function %s(buffer, bigint, dates) {', method.decoder);
   println('var offset = 0, val, len;');
   fieldsDecl(args);
 
@@ -483,7 +517,7 @@ function decoderFn(method) {
       break;
     case 'longlong':
     case 'timestamp':
-      println('val = ints.readUInt64BE(buffer, offset); offset += 8;');
+      decodeUInt64(a.type);
       break;
     case 'bit':
       var bit = 1 << bitsInARow;
@@ -506,7 +540,8 @@ function decoderFn(method) {
       break;
     case 'table':
       println('len = buffer.readUInt32BE(offset); offset += 4;');
-      println('val = decodeFields(buffer.slice(offset, offset + len));');
+      println('val = decodeFields(buffer.slice(offset, offset + len),' +
+              ' bigint, dates);');
       println('offset += len;');
       break;
     default:
@@ -631,7 +666,7 @@ function encodePropsFn(props) {
         break;
       case 'longlong':
       case 'timestamp':
-        println('ints.writeUInt64BE(buffer, val, offset);');
+        println('writeUInt64BE(buffer, val, offset);');
         println('offset += 8;');
         break;
       case 'shortstr':
@@ -665,7 +700,7 @@ function encodePropsFn(props) {
 function decodePropsFn(props) {
   var args = props.args;
 
-  println('function %s(buffer) {', props.decoder);
+  println('function %s(buffer, bigint, dates) {', props.decoder);
   println('var flags, offset = 2, val, len;');
 
   println('flags = buffer.readUInt16BE(0);');
@@ -694,7 +729,7 @@ function decodePropsFn(props) {
         break;
       case 'longlong':
       case 'timestamp':
-        println('val = ints.readUInt64BE(buffer, offset); offset += 8;');
+        decodeUInt64(p.type);
         break;
       case 'longstr':
         println('len = buffer.readUInt32BE(offset); offset += 4;');
@@ -708,7 +743,8 @@ function decodePropsFn(props) {
         break;
       case 'table':
         println('len = buffer.readUInt32BE(offset); offset += 4;');
-        println('val = decodeFields(buffer.slice(offset, offset + len));');
+        println('val = decodeFields(buffer.slice(offset, offset + len),' +
+                ' bigint, dates);');
         println('offset += len;');
         break;
       default:
@@ -721,3 +757,163 @@ function decodePropsFn(props) {
   println('return fields;');
   println('}');
 }
+
+// ======== TypeScript declarations
+
+// If given a path as an argument, I also write declarations for the
+// module generated above to it (by convention, ../lib/defs.d.ts).
+
+// The option objects accepted by ../lib/api_args.js. Each draws on the
+// fields of a method (and for publish, the properties), with the
+// same names and types; `extra` are those options that aren't
+// fields, mostly values promoted from `arguments` or `headers`, with
+// their types.
+var apiOptions = [
+  {name: 'AssertQueueOptions', method: 'QueueDeclare',
+   fields: ['exclusive', 'durable', 'autoDelete', 'arguments'],
+   extra: {
+     expires: 'number',
+     messageTtl: 'number',
+     deadLetterExchange: 'string',
+     deadLetterRoutingKey: 'string',
+     maxLength: 'number',
+     maxPriority: 'number',
+     overflow: 'string'
+   }},
+  {name: 'DeleteQueueOptions', method: 'QueueDelete',
+   fields: ['ifUnused', 'ifEmpty']},
+  {name: 'AssertExchangeOptions', method: 'ExchangeDeclare',
+   fields: ['durable', 'internal', 'autoDelete', 'arguments'],
+   extra: {alternateExchange: 'string'}},
+  {name: 'DeleteExchangeOptions', method: 'ExchangeDelete',
+   fields: ['ifUnused']},
+  {name: 'PublishOptions', method: 'BasicPublish',
+   fields: ['mandatory'],
+   properties: ['contentType', 'contentEncoding', 'headers', 'priority',
+                'correlationId', 'replyTo', 'messageId', 'type',
+                'userId', 'appId'],
+   extra: {
+     CC: 'string | string[]',
+     BCC: 'string | string[]',
+     persistent: 'boolean',
+     deliveryMode: 'boolean | number',
+     expiration: 'string | number',
+     timestamp: 'number | bigint | Date'
+   }},
+  {name: 'ConsumeOptions', method: 'BasicConsume',
+   fields: ['consumerTag', 'noLocal', 'noAck', 'exclusive', 'arguments'],
+   extra: {priority: 'number'}},
+  {name: 'GetOptions', method: 'BasicGet',
+   fields: ['noAck']}
+];
+
+// Decoded values may be BigInts or Dates, if the connection is told
+// to use them; see `decode` above.
+function tsType(type) {
+  switch (type) {
+  case 'bit':       return 'boolean';
+  case 'octet':
+  case 'short':
+  case 'long':      return 'number';
+  case 'longlong':  return 'number | bigint';
+  case 'timestamp': return 'number | bigint | Date';
+  case 'shortstr':  return 'string';
+  case 'longstr':   return 'Buffer';
+  case 'table':     return 'FieldTable';
+  default: throw new Error("Unexpected argument type: " + type);
+  }
+}
+
+function argNamed(args, name) {
+  for (var i = 0; i < args.length; i++) {
+    if (args[i].name === name) return args[i];
+  }
+  throw new Error("No argument named " + name);
+}
+
+function declarations() {
+  println(
+    '// This file is generated by the script ../bin/generate-defs.js,\n' +
+    '// along with ./defs.js, which it describes.');
+  nl();
+  println('/// <reference types="node" />'); nl();
+
+  println('export interface FieldTable {');
+  println('  [name: string]: any;');
+  println('}'); nl();
+
+  println('export interface ArgInfo {');
+  println('  type: string;');
+  println('  name: string;');
+  println('  default?: any;');
+  println('}'); nl();
+  println('export interface Info {');
+  println('  id: number;');
+  println('  classId?: number;');
+  println('  methodId?: number;');
+  println('  name: string;');
+  println('  args: ArgInfo[];');
+  println('}'); nl();
+
+  println('export declare const constants: {');
+  for (var c in constants) println('  %s: number;', c);
+  println('};');
+  println('export declare const constant_strs: {[code: number]: string};');
+  println('export declare const FRAME_OVERHEAD: number;'); nl();
+
+  println('export declare function decode(id: number, buf: Buffer,');
+  println('                                bigint?: boolean,');
+  println('                                dates?: boolean): any;');
+  println('export declare function encodeMethod(id: number, channel: number,');
+  println('                                      fields: object): Buffer;');
+  println('export declare function encodeProperties(id: number,');
+  println('                                          channel: number,');
+  println('                                          size: number,');
+  println('                                          fields: object): Buffer;');
+  println('export declare function info(id: number): Info;'); nl();
+
+  for (var m in methods) {
+    var method = methods[m];
+    println('export declare const %s: %d;', m, method.id);
+    println('export declare const %s: Info;', method.info);
+    println('export interface %sFields {', m);
+    method.args.forEach(function(a) {
+      println('  %s: %s;', a.name, tsType(a.type));
+    });
+    println('}'); nl();
+  }
+
+  // Any of the properties may be missing
+  for (var p in propertieses) {
+    var props = propertieses[p];
+    println('export declare const %s: %d;', p, props.id);
+    println('export declare const %s: Info;', props.info);
+    println('export interface %s {', p);
+    props.args.forEach(function(a) {
+      println('  %s?: %s;', a.name, tsType(a.type));
+    });
+    println('}'); nl();
+  }
+
+  apiOptions.forEach(function(opts) {
+    var args = methods[opts.method].args;
+    println('export interface %s {', opts.name);
+    opts.fields.forEach(function(name) {
+      println('  %s?: %s;', name, tsType(argNamed(args, name).type));
+    });
+    (opts.properties || []).forEach(function(name) {
+      var arg = argNamed(propertieses.BasicProperties.args, name);
+      println('  %s?: %s;', name, tsType(arg.type));
+    });
+    for (var name in opts.extra) {
+      println('  %s?: %s;', name, opts.extra[name]);
+    }
+    println('}'); nl();
+  });
+}
+
+if (process.argv[2]) {
+  out = FS.createWriteStream(process.argv[2]);
+  declarations();
+  out.end();
+}
@@ -0,0 +1,33 @@
+// Declarations for the callback API; the connection options,
+// credentials and so on are as for the promise API (see
+// ./channel_api.d.ts).
+
+/// <reference types="node" />
+
+import { CallbackModel } from './lib/callback_model';
+import { ConnectURL, SocketOptions } from './channel_api';
+
+export * from './lib/callback_model';
+export {
+  URLParts, ConnectURL, Credentials, TokenProviderOptions, RecoveryOptions,
+  SocketFactory, SocketOptions, TraceEvent, credentials, trace,
+  IllegalOperationError, CloseTimeoutError, ConfirmTimeoutError,
+  Endpoint, Negotiated, Message, ConsumeMessage, GetMessage,
+  ReturnedMessage, StreamedMessage, WhenBlocked, PublishOptions,
+  PublishStreamOptions, ConsumeOptions, ChannelOptions, DrainOptions,
+  Consumer, PublishResult, ConfirmCallback, FieldTable,
+  AssertQueueOptions, DeleteQueueOptions, AssertExchangeOptions,
+  DeleteExchangeOptions, GetOptions, BasicProperties
+} from './channel_api';
+
+export declare function connect(url: ConnectURL, options: SocketOptions,
+                                callback: (err: any,
+                                           connection: CallbackModel) => void):
+  void;
+export declare function connect(url: ConnectURL,
+                                callback: (err: any,
+                                           connection: CallbackModel) => void):
+  void;
+export declare function connect(callback: (err: any,
+                                           connection: CallbackModel) => void):
+  void;
@@ -1,5 +1,6 @@
 var raw_connect = require('./lib/connect').connect;
 var CallbackModel = require('./lib/callback_model').CallbackModel;
+var Recovery = require('./lib/recovery').Recovery;
 
 // Supports three shapes:
 // connect(url, options, callback)
@@ -11,12 +12,21 @@ function connect(url, options, cb) {
   else if (typeof options === 'function')
     cb = options, options = false;
 
+  var recover = options && options.recover;
   raw_connect(url, options, function(err, c) {
-    if (err === null) cb(null, new CallbackModel(c));
+    if (err === null) {
+      var recovery = recover && new Recovery(function(k) {
+        raw_connect(url, options, k);
+      }, recover);
+      cb(null, new CallbackModel(c, recovery));
+    }
     else cb(err);
   });
 };
 
 module.exports.connect = connect;
 module.exports.credentials = require('./lib/credentials');
+module.exports.trace = require('./lib/trace');
 module.exports.IllegalOperationError = require('./lib/error').IllegalOperationError;
+module.exports.CloseTimeoutError = require('./lib/error').CloseTimeoutError;
+module.exports.ConfirmTimeoutError = require('./lib/error').ConfirmTimeoutError;
@@ -0,0 +1,125 @@
+// Declarations for the promise API; the connection options,
+// credentials and so on are shared with the callback API (see
+// ./callback_api.d.ts).
+
+/// <reference types="node" />
+
+import * as tls from 'tls';
+import { ChannelModel, WhenBlocked } from './lib/channel_model';
+import { FieldTable } from './lib/defs';
+
+export * from './lib/channel_model';
+export {
+  AssertQueueOptions, DeleteQueueOptions, AssertExchangeOptions,
+  DeleteExchangeOptions, GetOptions, BasicProperties
+} from './lib/defs';
+
+// A URL given as its parts
+export interface URLParts {
+  protocol?: string;
+  hostname?: string;
+  port?: number;
+  path?: string;
+  username?: string;
+  password?: string;
+  vhost?: string;
+  locale?: string;
+  channelMax?: number;
+  frameMax?: number;
+  heartbeat?: number;
+}
+
+export type ConnectURL = string | URLParts | Array<string | URLParts>;
+
+export interface Credentials {
+  mechanism: string;
+  response(): Buffer;
+  username?: string;
+  password?: string;
+  challenge?(challenge: Buffer): Buffer;
+  refresh?(callback: (err: any, token?: string) => void): void;
+  scheduleRefresh?(connection: any): void;
+}
+
+export interface TokenProviderOptions {
+  username?: string;
+  refreshInterval?: number;
+}
+
+export interface RecoveryOptions {
+  initialDelay?: number;
+  maxDelay?: number;
+  factor?: number;
+  maxAttempts?: number;
+  backoff?(attempt: number): number;
+}
+
+export type SocketFactory =
+  (options: SocketOptions & {protocol: string},
+   onConnect: () => void) => NodeJS.ReadWriteStream;
+
+export interface SocketOptions extends tls.ConnectionOptions {
+  clientProperties?: FieldTable;
+  credentials?: Credentials;
+  proxy?: string;
+  shuffle?: boolean;
+  noDelay?: boolean;
+  keepAlive?: boolean;
+  keepAliveDelay?: number;
+  closeTimeout?: number;
+  heartbeatTolerance?: number;
+  useBigInt?: boolean;
+  useDates?: boolean;
+  whenBlocked?: WhenBlocked;
+  blockedBufferLimit?: number;
+  maxBlockedDuration?: number;
+  socketFactory?: SocketFactory;
+  record?: string | NodeJS.WritableStream;
+  recover?: boolean | RecoveryOptions;
+}
+
+export declare function connect(url?: ConnectURL,
+                                socketOptions?: SocketOptions):
+  Promise<ChannelModel>;
+
+export declare const credentials: {
+  plain(user: string, password: string): Credentials;
+  external(): Credentials;
+  amqplain(user: string, password: string): Credentials;
+  rabbitCrDemo(user: string, password: string): Credentials;
+  tokenProvider(provider: (callback: (err: any, token?: string) => void)
+                => void,
+                options?: TokenProviderOptions): Credentials;
+};
+
+// See ./lib/trace.js
+export interface TraceEvent {
+  connection: any;
+  direction: 'in' | 'out';
+  type: 'method' | 'header' | 'body' | 'heartbeat';
+  channel: number;
+  id?: number;
+  name?: string;
+  fields?: any;
+  size?: number;
+  frameSize?: number;
+}
+
+export declare const trace: {
+  IN_TOPIC: string;
+  OUT_TOPIC: string;
+  printTranscript(write?: (line: string) => void,
+                  showFields?: boolean): () => void;
+};
+
+export declare class IllegalOperationError extends Error {
+  stackAtStateChange: string;
+}
+
+export declare class CloseTimeoutError extends Error {
+  timeout: number;
+}
+
+export declare class ConfirmTimeoutError extends Error {
+  timeout: number;
+}
@@ -1,5 +1,6 @@
 var raw_connect = require('./lib/connect').connect;
 var ChannelModel = require('./lib/channel_model').ChannelModel;
+var Recovery = require('./lib/recovery').Recovery;
 var Promise = require('bluebird');
 
 function connect(url, connOptions) {
@@ -7,10 +8,17 @@ function connect(url, connOptions) {
     return raw_connect(url, connOptions, cb);
   })
   .then(function(conn) {
-    return new ChannelModel(conn);
+    var recover = connOptions && connOptions.recover;
+    var recovery = recover && new Recovery(function(cb) {
+      raw_connect(url, connOptions, cb);
+    }, recover);
+    return new ChannelModel(conn, recovery);
   });
 };
 
 module.exports.connect = connect;
 module.exports.credentials = require('./lib/credentials');
+module.exports.trace = require('./lib/trace');
 module.exports.IllegalOperationError = require('./lib/error').IllegalOperationError;
+module.exports.CloseTimeoutError = require('./lib/error').CloseTimeoutError;
+module.exports.ConfirmTimeoutError = require('./lib/error').ConfirmTimeoutError;
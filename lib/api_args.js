@@ -13,6 +13,8 @@ particular to the operation it represents, and returns an object with
 fields for handing to the encoder.
 */
 
+var dateToTimestamp = require('./codec').dateToTimestamp;
+
 // A number of AMQP methods have a table-typed field called
 // `arguments`, that is intended to carry extension-specific
 // values. RabbitMQ uses this in a number of places; e.g., to specify
@@ -219,6 +221,9 @@ Args.publish = function(exchange, routingKey, options) {
   var expiration = options.expiration;
   if (expiration !== undefined) expiration = expiration.toString();
 
+  var timestamp = options.timestamp;
+  if (timestamp instanceof Date) timestamp = dateToTimestamp(timestamp);
+
   return {
     // method fields
     exchange: exchange,
@@ -236,7 +241,7 @@ Args.publish = function(exchange, routingKey, options) {
     replyTo: options.replyTo,
     expiration: expiration,
     messageId: options.messageId,
-    timestamp: options.timestamp,
+    timestamp: timestamp,
     type: options.type,
     userId: options.userId,
     appId: options.appId,
@@ -306,6 +311,10 @@ Args.prefetch = function(count, global) {
   };
 };
 
+Args.flow = function(active) {
+  return {active: !!active};
+};
+
 Args.recover = function() {
   return {requeue: true};
 };
@@ -0,0 +1,110 @@
+// Declarations for ./callback_model.js, the callback API's connection
+// and channels. Messages and options are as for the promise API (see
+// ./channel_model.d.ts).
+
+/// <reference types="node" />
+
+import { EventEmitter } from 'events';
+import { Readable } from 'stream';
+import * as defs from './defs';
+import {
+  Endpoint, Negotiated, Message, ConsumeMessage, GetMessage,
+  StreamedMessage, PublishOptions, PublishStreamOptions, ConsumeOptions,
+  ChannelOptions, DrainOptions, Consumer, PublishResult, ConfirmCallback
+} from './channel_model';
+
+export type Callback<T> = (err: any, ok: T) => void;
+
+export declare class CallbackModel extends EventEmitter {
+  readonly endpoint: Endpoint;
+  readonly serverProperties: defs.FieldTable;
+  readonly negotiated: Negotiated;
+
+  supports(capability: string): boolean;
+  close(callback?: (err: any) => void): void;
+  drain(callback?: (err: any) => void): void;
+  drain(options: DrainOptions, callback?: (err: any) => void): void;
+
+  createChannel(callback?: Callback<Channel>): Channel;
+  createChannel(options: ChannelOptions,
+                callback?: Callback<Channel>): Channel;
+  createConfirmChannel(callback?: Callback<ConfirmChannel>): ConfirmChannel;
+  createConfirmChannel(options: ChannelOptions,
+                       callback?: Callback<ConfirmChannel>): ConfirmChannel;
+}
+
+export declare class Channel extends EventEmitter {
+  close(callback?: (err: any) => void): void;
+
+  assertQueue(queue?: string, options?: defs.AssertQueueOptions,
+              callback?: Callback<defs.QueueDeclareOkFields>): this;
+  checkQueue(queue: string,
+             callback?: Callback<defs.QueueDeclareOkFields>): this;
+  deleteQueue(queue: string, options?: defs.DeleteQueueOptions,
+              callback?: Callback<defs.QueueDeleteOkFields>): this;
+  purgeQueue(queue: string,
+             callback?: Callback<defs.QueuePurgeOkFields>): this;
+  bindQueue(queue: string, source: string, pattern: string,
+            args?: defs.FieldTable,
+            callback?: Callback<defs.QueueBindOkFields>): this;
+  unbindQueue(queue: string, source: string, pattern: string,
+              args?: defs.FieldTable,
+              callback?: Callback<defs.QueueUnbindOkFields>): this;
+
+  assertExchange(exchange: string, type: string,
+                 options?: defs.AssertExchangeOptions,
+                 callback?: Callback<{exchange: string}>): this;
+  checkExchange(exchange: string,
+                callback?: Callback<defs.ExchangeDeclareOkFields>): this;
+  deleteExchange(exchange: string, options?: defs.DeleteExchangeOptions,
+                 callback?: Callback<defs.ExchangeDeleteOkFields>): this;
+  bindExchange(destination: string, source: string, pattern: string,
+               args?: defs.FieldTable,
+               callback?: Callback<defs.ExchangeBindOkFields>): this;
+  unbindExchange(destination: string, source: string, pattern: string,
+                 args?: defs.FieldTable,
+                 callback?: Callback<defs.ExchangeUnbindOkFields>): this;
+
+  publish(exchange: string, routingKey: string, content: Buffer,
+          options?: PublishOptions): PublishResult;
+  sendToQueue(queue: string, content: Buffer,
+              options?: PublishOptions): PublishResult;
+  publishStream(exchange: string, routingKey: string, stream: Readable,
+                options: PublishStreamOptions): Promise<void>;
+
+  consume(queue: string, onMessage: Consumer<StreamedMessage>,
+          options: ConsumeOptions & {streamContent: true},
+          callback?: Callback<defs.BasicConsumeOkFields>): this;
+  consume(queue: string, onMessage: Consumer<ConsumeMessage>,
+          options?: ConsumeOptions,
+          callback?: Callback<defs.BasicConsumeOkFields>): this;
+  cancel(consumerTag: string,
+         callback?: Callback<defs.BasicCancelOkFields>): this;
+  get(queue: string, options?: defs.GetOptions,
+      callback?: Callback<GetMessage | false>): this;
+
+  ack(message: Message<any> | StreamedMessage, allUpTo?: boolean): this;
+  ackAll(): this;
+  nack(message: Message<any> | StreamedMessage, allUpTo?: boolean,
+       requeue?: boolean): this;
+  nackAll(requeue?: boolean): this;
+  reject(message: Message<any> | StreamedMessage, requeue?: boolean): this;
+
+  prefetch(count: number, global?: boolean,
+           callback?: Callback<defs.BasicQosOkFields>): this;
+  recover(callback?: Callback<defs.BasicRecoverOkFields>): this;
+  flow(active: boolean,
+       callback?: Callback<defs.ChannelFlowOkFields>): this;
+}
+
+export declare class ConfirmChannel extends Channel {
+  publish(exchange: string, routingKey: string, content: Buffer,
+          options?: PublishOptions,
+          callback?: ConfirmCallback): PublishResult;
+  sendToQueue(queue: string, content: Buffer, options?: PublishOptions,
+              callback?: ConfirmCallback): PublishResult;
+  publishStream(exchange: string, routingKey: string, stream: Readable,
+                options: PublishStreamOptions,
+                callback?: ConfirmCallback): Promise<void>;
+  waitForConfirms(callback: (err?: any) => void): void;
+}
@@ -11,27 +11,86 @@ var EventEmitter = require('events').EventEmitter;
 var BaseChannel = require('./channel').BaseChannel;
 var acceptMessage = require('./channel').acceptMessage;
 var Args = require('./api_args');
+var drainDeadline = require('./channel_model').drainDeadline;
 
-function CallbackModel(connection) {
+// If `recovery` is supplied (see ./recovery), the model will
+// reconnect and restore its channels when the connection is lost.
+function CallbackModel(connection, recovery) {
   if (!(this instanceof CallbackModel))
-    return new CallbackModel(connection);
+    return new CallbackModel(connection, recovery);
   EventEmitter.call( this );
   this.connection = connection;
+  this.recovery = recovery || null;
   var self = this;
-  ['error', 'close', 'blocked', 'unblocked'].forEach(function(ev) {
-    connection.on(ev, self.emit.bind(self, ev));
-  });
+  if (this.recovery) this.recovery.attach(this);
+  else {
+    ['error', 'close', 'blocked', 'unblocked',
+     'heartbeat'].forEach(function(ev) {
+      connection.on(ev, self.emit.bind(self, ev));
+    });
+  }
 }
 inherits(CallbackModel, EventEmitter);
 
 module.exports.CallbackModel = CallbackModel;
 
+// Read through to the connection, which is replaced if recovering
+Object.defineProperties(CallbackModel.prototype, {
+  endpoint: {get: function() { return this.connection.endpoint; }},
+  serverProperties: {
+    get: function() { return this.connection.serverProperties; }
+  },
+  negotiated: {
+    get: function() {
+      var c = this.connection;
+      return {
+        channelMax: c.channelMax, frameMax: c.frameMax,
+        heartbeat: c.heartbeat
+      };
+    }
+  }
+});
+
+CallbackModel.prototype.supports = function(capability) {
+  return this.connection.supports(capability);
+};
+
 CallbackModel.prototype.close = function(cb) {
+  if (this.recovery && this.recovery.abandon()) return cb && cb(null);
   this.connection.close(cb);
 };
 
-function Channel(connection) {
-  BaseChannel.call(this, connection);
+// Cancel all consumers, let running handlers and outstanding confirms
+// settle, then close; see ChannelModel#drain. The callback gets a
+// Promise.TimeoutError if `options.timeout` passed first (the model is
+// closed regardless).
+CallbackModel.prototype.drain = function(options, cb) {
+  if (typeof options === 'function') {
+    cb = options; options = {};
+  }
+  var self = this;
+  var timeout = (options && options.timeout) || 0;
+  var started = Date.now();
+  var channels = [];
+  this.connection._eachChannel(function(ch) {
+    if (typeof ch.drain === 'function') channels.push(ch);
+  });
+  var drained = Promise.map(channels, function(ch) { return ch.drain(); });
+  if (timeout > 0)
+    drained = drainDeadline(drained, timeout, started);
+
+  function close(drainErr) {
+    if (timeout > 0)
+      self.connection.limitCloseTimeout(timeout - (Date.now() - started));
+    self.close(function(err) {
+      if (cb) cb(drainErr || err || null);
+    });
+  }
+  drained.then(function() { close(null); }, close);
+};
+
+function Channel(connection, options) {
+  BaseChannel.call(this, connection, options);
   this.on('delivery', this.handleDelivery.bind(this));
   this.on('cancel', this.handleCancel.bind(this));
 }
@@ -39,10 +98,18 @@ inherits(Channel, BaseChannel);
 
 module.exports.Channel = Channel;
 
-CallbackModel.prototype.createChannel = function(cb) {
-  var ch = new Channel(this.connection);
+// `options` are as for ChannelModel#createChannel.
+CallbackModel.prototype.createChannel = function(options, cb) {
+  if (typeof options === 'function') {
+    cb = options; options = {};
+  }
+  var recovery = this.recovery;
+  var ch = new Channel(this.connection, options);
   ch.open(function(err, ok) {
-    if (err === null) cb && cb(null, ch);
+    if (err === null) {
+      if (recovery) recovery.addChannel(ch, false);
+      cb && cb(null, ch);
+    }
     else cb && cb(err);
   });
   return ch;
@@ -62,6 +129,17 @@ function callbackWrapper(ch, cb) {
   } : function() {};
 }
 
+// Wrap an RPC callback so that, if the operation succeeds and the
+// channel is to be recovered, `record` is given the chance to note
+// what was done before the callback is invoked.
+function recording(ch, record, cb0) {
+  var cb = callbackWrapper(ch, cb0);
+  return function(err, ok) {
+    if (err === null && ch.recovery) record(ch.recovery, ok);
+    cb(err, ok);
+  };
+}
+
 // This encodes straight-forward RPC: no side-effects and return the
 // fields from the server response. It wraps the callback given it, so
 // the calling method argument can be passed as-is. For anything that
@@ -89,13 +167,16 @@ Channel.prototype.open = function(cb) {
 
 Channel.prototype.close = function(cb) {
   return this.closeBecause("Goodbye", defs.constants.REPLY_SUCCESS,
-                           function() { cb && cb(null); });
+                           function(err) { cb && cb(err || null); });
 };
 
 Channel.prototype.assertQueue = function(queue, options, cb) {
   return this.rpc(defs.QueueDeclare,
                   Args.assertQueue(queue, options),
-                  defs.QueueDeclareOk, cb);
+                  defs.QueueDeclareOk,
+                  recording(this, function(r, ok) {
+                    r.recordQueue(queue, options, ok.queue);
+                  }, cb));
 };
 
 Channel.prototype.checkQueue = function(queue, cb) {
@@ -107,7 +188,10 @@ Channel.prototype.checkQueue = function(queue, cb) {
 Channel.prototype.deleteQueue = function(queue, options, cb) {
   return this.rpc(defs.QueueDelete,
                   Args.deleteQueue(queue, options),
-                  defs.QueueDeleteOk, cb);
+                  defs.QueueDeleteOk,
+                  recording(this, function(r) {
+                    r.forgetQueue(queue);
+                  }, cb));
 };
 
 Channel.prototype.purgeQueue = function(queue, cb) {
@@ -120,18 +204,26 @@ Channel.prototype.bindQueue =
   function(queue, source, pattern, argt, cb) {
     return this.rpc(defs.QueueBind,
                     Args.bindQueue(queue, source, pattern, argt),
-                    defs.QueueBindOk, cb);
+                    defs.QueueBindOk,
+                    recording(this, function(r) {
+                      r.recordBinding('queue', queue, source, pattern, argt);
+                    }, cb));
   };
 
 Channel.prototype.unbindQueue =
   function(queue, source, pattern, argt, cb) {
     return this.rpc(defs.QueueUnbind,
                     Args.unbindQueue(queue, source, pattern, argt),
-                    defs.QueueUnbindOk, cb);
+                    defs.QueueUnbindOk,
+                    recording(this, function(r) {
+                      r.forgetBinding('queue', queue, source, pattern, argt);
+                    }, cb));
   };
 
 Channel.prototype.assertExchange = function(ex, type, options, cb0) {
-  var cb = callbackWrapper(this, cb0);
+  var cb = recording(this, function(r) {
+    r.recordExchange(ex, type, options);
+  }, cb0);
   this._rpc(defs.ExchangeDeclare,
             Args.assertExchange(ex, type, options),
             defs.ExchangeDeclareOk,
@@ -148,42 +240,81 @@ Channel.prototype.checkExchange = function(exchange, cb) {
 Channel.prototype.deleteExchange = function(exchange, options, cb) {
   return this.rpc(defs.ExchangeDelete,
                   Args.deleteExchange(exchange, options),
-                  defs.ExchangeDeleteOk, cb);
+                  defs.ExchangeDeleteOk,
+                  recording(this, function(r) {
+                    r.forgetExchange(exchange);
+                  }, cb));
 };
 
 Channel.prototype.bindExchange =
   function(dest, source, pattern, argt, cb) {
+    try {
+      this.connection.requireCapability('exchange_exchange_bindings',
+                                        'bindExchange');
+    }
+    catch (e) { callbackWrapper(this, cb)(e); return this; }
     return this.rpc(defs.ExchangeBind,
                     Args.bindExchange(dest, source, pattern, argt),
-                    defs.ExchangeBindOk, cb);
+                    defs.ExchangeBindOk,
+                    recording(this, function(r) {
+                      r.recordBinding('exchange', dest, source, pattern, argt);
+                    }, cb));
   };
 
 Channel.prototype.unbindExchange =
   function(dest, source, pattern, argt, cb) {
+    try {
+      this.connection.requireCapability('exchange_exchange_bindings',
+                                        'unbindExchange');
+    }
+    catch (e) { callbackWrapper(this, cb)(e); return this; }
     return this.rpc(defs.ExchangeUnbind,
                     Args.unbindExchange(dest, source, pattern, argt),
-                    defs.ExchangeUnbindOk, cb);
+                    defs.ExchangeUnbindOk,
+                    recording(this, function(r) {
+                      r.forgetBinding('exchange', dest, source, pattern, argt);
+                    }, cb));
   };
 
 Channel.prototype.publish =
   function(exchange, routingKey, content, options) {
     var fieldsAndProps = Args.publish(exchange, routingKey, options);
-    return this.sendMessage(fieldsAndProps, fieldsAndProps, content);
+    return this.sendMessage(fieldsAndProps, fieldsAndProps, content,
+                            options && options.whenBlocked);
   };
 
 Channel.prototype.sendToQueue = function(queue, content, options) {
   return this.publish('', queue, content, options);
 };
 
+Channel.prototype.publishStream =
+  function(exchange, routingKey, stream, options) {
+    var fieldsAndProps = Args.publish(exchange, routingKey, options);
+    return this.sendStream(fieldsAndProps, fieldsAndProps, stream,
+                           options && options.contentLength,
+                           options && options.whenBlocked);
+  };
+
+// See the promise API for `options.requireCancelNotify`
 Channel.prototype.consume = function(queue, callback, options, cb0) {
   var cb = callbackWrapper(this, cb0);
   var fields = Args.consume(queue, options);
   var self = this;
+  if (options && options.requireCancelNotify) {
+    try {
+      this.connection.requireCapability('consumer_cancel_notify',
+                                        'consume with requireCancelNotify');
+    }
+    catch (e) { cb(e); return this; }
+  }
   this._rpc(
     defs.BasicConsume, fields, defs.BasicConsumeOk,
     function(err, ok) {
       if (err === null) {
-        self.registerConsumer(ok.fields.consumerTag, callback);
+        self.registerConsumer(ok.fields.consumerTag, callback, options);
+        if (self.recovery)
+          self.recovery.recordConsumer(self, ok.fields.consumerTag,
+                                       queue, options);
         cb(null, ok.fields);
       }
       else cb(err);
@@ -199,6 +330,7 @@ Channel.prototype.cancel = function(consumerTag, cb0) {
     function(err, ok) {
       if (err === null) {
         self.unregisterConsumer(consumerTag);
+        if (self.recovery) self.recovery.forgetConsumer(self, consumerTag);
         cb(null, ok.fields);
       }
       else cb(err);
@@ -206,6 +338,17 @@ Channel.prototype.cancel = function(consumerTag, cb0) {
   return this;
 };
 
+// Returns a promise, since it's only used by CallbackModel#drain
+Channel.prototype.drain = function() {
+  var self = this;
+  return Promise.map(Object.keys(this.consumers), function(tag) {
+    return Promise.fromCallback(function(cb) {
+      self.cancel(tag, cb);
+    }).catch(function() {});
+  })
+  .then(function() { return self.settle(); });
+};
+
 Channel.prototype.get = function(queue, options, cb0) {
   var self = this;
   var fields = Args.get(queue, options);
@@ -231,17 +374,21 @@ Channel.prototype.get = function(queue, options, cb0) {
 };
 
 Channel.prototype.ack = function(message, allUpTo) {
+  this.checkContentEnded(message, allUpTo);
   this.sendImmediately(
     defs.BasicAck, Args.ack(message.fields.deliveryTag, allUpTo));
   return this;
 };
 
 Channel.prototype.ackAll = function() {
+  this.checkContentEnded(null, true);
   this.sendImmediately(defs.BasicAck, Args.ack(0, true));
   return this;
 };
 
 Channel.prototype.nack = function(message, allUpTo, requeue) {
+  this.connection.requireCapability('basic.nack', 'nack');
+  this.checkContentEnded(message, allUpTo);
   this.sendImmediately(
     defs.BasicNack,
     Args.nack(message.fields.deliveryTag, allUpTo, requeue));
@@ -249,12 +396,15 @@ Channel.prototype.nack = function(message, allUpTo, requeue) {
 };
 
 Channel.prototype.nackAll = function(requeue) {
+  this.connection.requireCapability('basic.nack', 'nackAll');
+  this.checkContentEnded(null, true);
   this.sendImmediately(
     defs.BasicNack, Args.nack(0, true, requeue))
   return this;
 };
 
 Channel.prototype.reject = function(message, requeue) {
+  this.checkContentEnded(message, false);
   this.sendImmediately(
     defs.BasicReject,
     Args.reject(message.fields.deliveryTag, requeue));
@@ -262,9 +412,24 @@ Channel.prototype.reject = function(message, requeue) {
 };
 
 Channel.prototype.prefetch = function(count, global, cb) {
+  var self = this;
   return this.rpc(defs.BasicQos,
                   Args.prefetch(count, global),
-                  defs.BasicQosOk, cb);
+                  defs.BasicQosOk,
+                  recording(this, function(r) {
+                    r.recordPrefetch(self, count, global);
+                  }, cb));
+};
+
+// See ChannelModel's Channel#flow
+Channel.prototype.flow = function(active, cb) {
+  var self = this;
+  return this.rpc(defs.ChannelFlow,
+                  Args.flow(active),
+                  defs.ChannelFlowOk,
+                  recording(this, function(r) {
+                    r.recordFlow(self, active);
+                  }, cb));
 };
 
 Channel.prototype.recover = function(cb) {
@@ -273,22 +438,33 @@ Channel.prototype.recover = function(cb) {
                   defs.BasicRecoverOk, cb);
 };
 
-function ConfirmChannel(connection) {
-  Channel.call(this, connection);
+function ConfirmChannel(connection, options) {
+  Channel.call(this, connection, options);
 }
 inherits(ConfirmChannel, Channel);
 
 module.exports.ConfirmChannel = ConfirmChannel;
 
-CallbackModel.prototype.createConfirmChannel = function(cb) {
-  var ch = new ConfirmChannel(this.connection);
+CallbackModel.prototype.createConfirmChannel = function(options, cb) {
+  if (typeof options === 'function') {
+    cb = options; options = {};
+  }
+  var recovery = this.recovery;
+  var ch = new ConfirmChannel(this.connection, options);
+  // As when it can't be opened, the channel is returned regardless
+  try {
+    this.connection.requireCapability('publisher_confirms',
+                                      'createConfirmChannel');
+  }
+  catch (e) { if (cb) cb(e); return ch; }
   ch.open(function(err) {
     if (err !== null) return cb && cb(err);
     else {
       ch.rpc(defs.ConfirmSelect, {nowait: false},
              defs.ConfirmSelectOk, function(err, _ok) {
                if (err !== null) return cb && cb(err);
-               else cb && cb(null, ch);
+               if (recovery) recovery.addChannel(ch, true);
+               cb && cb(null, ch);
              });
     }
   });
@@ -297,9 +473,11 @@ CallbackModel.prototype.createConfirmChannel = function(cb) {
 
 ConfirmChannel.prototype.publish = function(exchange, routingKey,
                                             content, options, cb) {
-  this.pushConfirmCallback(cb);
-  return Channel.prototype.publish.call(
-    this, exchange, routingKey, content, options);
+  var fieldsAndProps = Args.publish(exchange, routingKey, options);
+  return this.sendMessage(fieldsAndProps, fieldsAndProps, content,
+                          options && options.whenBlocked,
+                          this.pushConfirmCallback.bind(
+                            this, cb, options && options.confirmTimeout));
 };
 
 ConfirmChannel.prototype.sendToQueue = function(queue, content,
@@ -307,6 +485,16 @@ ConfirmChannel.prototype.sendToQueue = function(queue, content,
   return this.publish('', queue, content, options, cb);
 };
 
+ConfirmChannel.prototype.publishStream = function(exchange, routingKey,
+                                                  stream, options, cb) {
+  var fieldsAndProps = Args.publish(exchange, routingKey, options);
+  return this.sendStream(fieldsAndProps, fieldsAndProps, stream,
+                         options && options.contentLength,
+                         options && options.whenBlocked,
+                         this.pushConfirmCallback.bind(
+                           this, cb, options && options.confirmTimeout));
+};
+
 ConfirmChannel.prototype.waitForConfirms = function(k) {
   var awaiting = [];
   var unconfirmed = this.unconfirmed;
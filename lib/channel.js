@@ -15,11 +15,21 @@ var inherits = require('util').inherits;
 var EventEmitter = require('events').EventEmitter;
 var fmt = require('util').format;
 var IllegalOperationError = require('./error').IllegalOperationError;
+var CloseTimeoutError = require('./error').CloseTimeoutError;
+var ConfirmTimeoutError = require('./error').ConfirmTimeoutError;
 var stackCapture = require('./error').stackCapture;
 var Buffer = require('safe-buffer').Buffer
-function Channel(connection) {
+var Promise = require('bluebird');
+var Readable = require('stream').Readable ||
+  require('readable-stream/readable');
+// `options.highWaterMark`, if given, is how many frames the channel
+// will buffer before writes report that it's full; and
+// `options.confirmTimeout` how long, in milliseconds, to wait for
+// each message to be confirmed (see `pushConfirmCallback`).
+function Channel(connection, options) {
   EventEmitter.call( this );
   this.connection = connection;
+  this.options = options || {};
   // for the presently outstanding RPC
   this.reply = null;
   // for the RPCs awaiting action
@@ -27,6 +37,27 @@ function Channel(connection) {
   // for unconfirmed messages
   this.lwm = 1; // the least, unconfirmed deliveryTag
   this.unconfirmed = []; // rolling window of delivery callbacks
+  // for messages waiting for the connection to be unblocked (or for
+  // the server to let the channel send again; see `onFlow`)
+  this.blockedWaiters = [];
+  // whether the server is letting the channel send content
+  this.flowActive = true;
+  // whether the last message written filled the write buffer; and
+  // those waiting for it to drain (see `waitForDrain`)
+  this.bufferFull = false;
+  this.drainWaiters = [];
+  // set while waiting for the server to acknowledge a close
+  this.closeTimer = null;
+  // the content stream being filled, if a message is being streamed
+  // (see acceptStreamedMessage); and how many such streams have yet
+  // to be read to the end
+  this.incomingContent = null;
+  this.unendedContent = 0;
+  // set while a message's content is being sent from a stream (see
+  // sendStream); and the methods held back meanwhile, since nothing
+  // else may go on the channel in the middle of a message
+  this.outgoing = null;
+  this.heldMethods = [];
   this.on('ack', this.handleConfirm.bind(this, function(cb) {
     if (cb) cb(null);
   }));
@@ -44,7 +75,7 @@ module.exports.acceptMessage = acceptMessage;
 var C = Channel.prototype;
 
 C.allocate = function() {
-  this.ch = this.connection.freshChannel(this);
+  this.ch = this.connection.freshChannel(this, this.options);
   return this;
 }
 
@@ -59,8 +90,13 @@ C.allocate = function() {
 // this reason, I buffer RPCs if the channel is already waiting for a
 // reply.
 
-// Just send the damn frame.
+// Just send the damn frame. (Unless a message is being streamed, in
+// which case it has to wait until the content is all sent.)
 C.sendImmediately = function(method, fields) {
+  if (this.outgoing !== null) {
+    this.heldMethods.push({method: method, fields: fields});
+    return true;
+  }
   return this.connection.sendMethod(this.ch, method, fields);
 };
 
@@ -81,12 +117,239 @@ C.sendOrEnqueue = function(method, fields, reply) {
   }
 };
 
-C.sendMessage = function(fields, properties, content) {
-  return this.connection.sendMessage(
-    this.ch,
-    defs.BasicPublish, fields,
-    defs.BasicProperties, properties,
-    content);
+// If the connection is blocked, the policy `whenBlocked` (or the
+// connection's default) decides whether the message is sent anyway,
+// refused with an error, or held until the connection is unblocked;
+// in the last case, a promise is returned, which is resolved once the
+// message is sent. A message that has to wait for any other reason
+// (the channel's flow is off, or it's behind others that are waiting)
+// is held too, but `false` is returned, as though the write buffer
+// were full; if it's dropped, it's because the channel closed.
+// `onSend`, if given, is called once the message has actually been
+// handed to the connection (e.g., to register a confirm callback,
+// which must be done in the order messages are sent; and not at all,
+// if encoding the message throws); or with an error, if it's dropped
+// instead.
+C.sendMessage = function(fields, properties, content,
+                         whenBlocked, onSend) {
+  var connection = this.connection;
+  var sendNow = true;
+  if (connection.blocked) {
+    sendNow = connection.blockedPublish(whenBlocked);
+    // It's been blocked for too long already, so a message that would
+    // wait is refused instead, as with the policy 'reject'; unless
+    // there's `onSend` to tell.
+    if (!sendNow && connection.blockedTimeout) {
+      if (!onSend) throw connection.blockedTimeout;
+      onSend(connection.blockedTimeout);
+      return false;
+    }
+  }
+  // Messages must go in the order they were published, so if any are
+  // waiting, or one is being streamed, this one has to wait too.
+  if (sendNow && this.flowActive && this.outgoing === null &&
+      this.blockedWaiters.length === 0) {
+    var ok = connection.sendMessage(
+      this.ch,
+      defs.BasicPublish, fields,
+      defs.BasicProperties, properties,
+      content);
+    this.bufferFull = !ok;
+    if (onSend) onSend();
+    return ok;
+  }
+  var waiter = {fields: fields, properties: properties,
+                content: content, whenBlocked: whenBlocked,
+                onSend: onSend, resolve: null, reject: null};
+  this.blockedWaiters.push(waiter);
+  if (sendNow) {
+    // so `waitForDrain` waits for it to go
+    this.bufferFull = true;
+    return false;
+  }
+  return toldOnSend(new Promise(function(resolve, reject) {
+    waiter.resolve = resolve; waiter.reject = reject;
+  }), onSend);
+};
+
+// A promise of what happens to a message is the only way to hear of
+// it being refused, unless there's `onSend` (a confirm callback) to
+// be told as well; in that case, the caller needn't listen to the
+// promise, and it mustn't be reported as an unhandled rejection if
+// they don't.
+function toldOnSend(p, onSend) {
+  if (onSend) p.catch(function() {});
+  return p;
+}
+
+// The connection has been unblocked (or the channel's flow turned
+// back on); send the messages that were waiting. This goes through
+// `sendMessage`, with the policy each was published with, so that
+// should the channel have been closed (or the connection blocked
+// again) meanwhile, the messages are refused (or dealt with as
+// they would have been, had they been published then).
+C.onUnblocked = C._sendWaiting = function() {
+  var waiters = this.blockedWaiters;
+  this.blockedWaiters = [];
+  waiters.forEach(function(w) {
+    var sent;
+    try {
+      sent = (w.stream)
+        ? this.sendStream(w.fields, w.properties, w.stream,
+                          w.size, w.whenBlocked, w.onSend)
+        : this.sendMessage(w.fields, w.properties, w.content,
+                           w.whenBlocked, w.onSend);
+    }
+    catch (e) {
+      if (w.onSend) w.onSend(e);
+      if (w.reject) w.reject(e);
+      return;
+    }
+    if (w.resolve) w.resolve(sent);
+  }, this);
+  // Everything went into the buffer, and there's room left; those
+  // told `false` when publishing can carry on
+  if (waiters.length > 0 && this.blockedWaiters.length === 0 &&
+      !this.bufferFull)
+    this.onBufferDrain();
+};
+
+// Like `sendMessage`, but the content is read from `stream`, which
+// must supply exactly `size` bytes. The method and header frames go
+// first; then each chunk is sent as it's read, cut into body frames
+// no bigger than the connection's frameMax. When the channel's write
+// buffer is full, I pause the stream until it's drained.
+//
+// The returned promise is resolved once all the content has been
+// sent. If the stream errors, or gives the wrong number of bytes, the
+// message can't be finished, and there's no way to tell the server
+// so; in that case the promise is rejected, and the connection is
+// closed with an error.
+C.sendStream = function(fields, properties, stream, size,
+                        whenBlocked, onSend) {
+  if (typeof size !== 'number' || size < 0 || size % 1 !== 0)
+    throw new TypeError(
+      fmt('Expected content length to be a whole number; got %s', size));
+  var connection = this.connection;
+  var sendNow = true;
+  if (connection.blocked) {
+    sendNow = connection.blockedPublish(whenBlocked);
+    // as in `sendMessage`
+    if (!sendNow && connection.blockedTimeout) {
+      if (!onSend) throw connection.blockedTimeout;
+      onSend(connection.blockedTimeout);
+      return toldOnSend(Promise.reject(connection.blockedTimeout), onSend);
+    }
+  }
+  if (sendNow && this.flowActive && this.outgoing === null &&
+      this.blockedWaiters.length === 0) {
+    return this._streamContent(fields, properties, stream, size, onSend);
+  }
+  var waiters = this.blockedWaiters;
+  return toldOnSend(new Promise(function(resolve, reject) {
+    waiters.push({fields: fields, properties: properties,
+                  stream: stream, size: size, whenBlocked: whenBlocked,
+                  onSend: onSend, resolve: resolve, reject: reject});
+  }), onSend);
+};
+
+C._streamContent = function(fields, properties, stream, size, onSend) {
+  var self = this;
+  var connection = this.connection;
+  var sent = 0;
+
+  connection.sendHeaders(this.ch, defs.BasicPublish, fields,
+                         defs.BasicProperties, properties, size);
+  if (onSend) onSend();
+
+  return new Promise(function(resolve, reject) {
+    var outgoing = self.outgoing = {abort: abort};
+
+    function onData(chunk) {
+      if (!Buffer.isBuffer(chunk))
+        return fail(new TypeError(
+          fmt('Expected buffer from content stream; got %s', chunk)));
+      sent += chunk.length;
+      if (sent > size)
+        return fail(new Error(fmt(
+          'Content stream gave more than the %d bytes expected', size)));
+      var ok;
+      // the connection may be closing, in which case this will throw
+      try { ok = connection.sendContent(self.ch, chunk); }
+      catch (e) { return abort(e); }
+      if (!ok) {
+        stream.pause();
+        self.once('drain', resume);
+      }
+    }
+    function resume() {
+      if (self.outgoing === outgoing) stream.resume();
+    }
+    function onEnd() {
+      if (sent < size)
+        return fail(new Error(fmt(
+          'Content stream ended after %d of the %d bytes expected',
+          sent, size)));
+      stop();
+      self._sendHeld();
+      resolve();
+    }
+
+    function stop() {
+      stream.removeListener('data', onData);
+      stream.removeListener('end', onEnd);
+      stream.removeListener('error', fail);
+      self.removeListener('drain', resume);
+      stream.pause();
+      self.outgoing = null;
+    }
+    // The channel has closed underneath the stream
+    function abort(err) {
+      stop();
+      reject(err);
+    }
+    function fail(err) {
+      stop();
+      reject(err);
+      connection.closeWithError('Could not send message content',
+                                defs.constants.INTERNAL_ERROR, err);
+    }
+
+    stream.on('data', onData);
+    stream.on('end', onEnd);
+    stream.on('error', fail);
+  });
+};
+
+// A streamed message has been sent; now send what was held back
+// behind it. The methods go straight to the connection, since the
+// channel may have started closing meanwhile (and the close method
+// itself may be among them).
+C._sendHeld = function() {
+  var held = this.heldMethods;
+  this.heldMethods = [];
+  held.forEach(function(m) {
+    this.connection.sendMethod(this.ch, m.method, m.fields);
+  }, this);
+  if (!this.connection.blocked && this.blockedWaiters.length > 0)
+    this._sendWaiting();
+};
+
+C._abortOutgoing = function(reason) {
+  this.heldMethods = [];
+  if (this.outgoing !== null) {
+    this.outgoing.abort(
+      new Error(reason + ' before message content was sent'));
+  }
+};
+
+C.rejectBlocked = function(err) {
+  var waiters = this.blockedWaiters;
+  this.blockedWaiters = [];
+  waiters.forEach(function(w) {
+    if (w.onSend) w.onSend(err);
+    if (w.reject) w.reject(err);
+  });
 };
 
 // Internal, synchronously resolved RPC; the return value is resolved
@@ -157,22 +420,89 @@ function invalidOp(msg, stack) {
 
 function invalidateSend(ch, msg, stack) {
   ch.sendImmediately = ch.sendOrEnqueue = ch.sendMessage =
-    invalidOp(msg, stack);
+    ch.sendStream = invalidOp(msg, stack);
 }
 
-// Move to entirely closed state.
-C.toClosed = function(capturedStack) {
+// Move to entirely closed state. Messages still waiting to be
+// confirmed never will be; they're rejected with `cause`, if that's
+// known (e.g., the error with which the server closed the channel).
+C.toClosed = function(capturedStack, cause) {
+  this._clearCloseTimer();
+  this._abortContent('Channel closed');
+  this._abortOutgoing('Channel closed');
   this._rejectPending();
+  this._rejectUnconfirmed(
+    cause || new Error("Channel closed before message was confirmed"));
+  this.rejectBlocked(new IllegalOperationError('Channel closed',
+                                               capturedStack));
+  this._rejectDrainWaiters(new IllegalOperationError('Channel closed',
+                                                     capturedStack));
   invalidateSend(this, 'Channel closed', capturedStack);
   this.accept = invalidOp('Channel closed', capturedStack);
   this.connection.releaseChannel(this.ch);
   this.emit('close');
 };
 
+// The connection has closed underneath the channel (scenario 3
+// above). Usually this means moving to the closed state; but if the
+// channel is to be recovered on a fresh connection, it's suspended
+// instead.
+C.toConnectionClosed = function(capturedStack, cause) {
+  if (this.recovery && this.recovery.willRecover())
+    this.toSuspended(capturedStack);
+  else
+    this.toClosed(capturedStack, cause);
+};
+
+// Stop being able to send and receive while waiting for a fresh
+// connection. Nothing outstanding will get an answer, so reject
+// RPCs and confirmations; but keep the channel number, so it can be
+// released if recovery is abandoned and the channel is closed.
+C.toSuspended = function(capturedStack) {
+  this._clearCloseTimer();
+  this._abortContent('Connection lost');
+  this._abortOutgoing('Connection lost');
+  this._rejectPending();
+  this.pending = [];
+  this._rejectUnconfirmed(
+    new Error("Connection lost before message was confirmed"));
+  this.rejectBlocked(new IllegalOperationError('Channel suspended',
+                                               capturedStack));
+  // what's in the write buffer went nowhere
+  this._rejectDrainWaiters(new IllegalOperationError('Channel suspended',
+                                                     capturedStack));
+  invalidateSend(this, 'Channel suspended', capturedStack);
+  this.accept = invalidOp('Channel suspended', capturedStack);
+};
+
+// Pick up again on a fresh connection. This undoes the invalidation
+// done in `toSuspended` (which replaces methods on the instance),
+// resets the per-channel protocol state, and allocates a channel
+// number; it's up to the caller to then do the open handshake.
+C.reattach = function(connection) {
+  delete this.sendImmediately;
+  delete this.sendOrEnqueue;
+  delete this.sendMessage;
+  delete this.sendStream;
+  delete this.accept;
+  this.connection = connection;
+  this.reply = null;
+  this.pending = [];
+  this.lwm = 1;
+  this.unconfirmed = [];
+  this.handleMessage = acceptDeliveryOrReturn;
+  this.flowActive = true;
+  this.bufferFull = false;
+  // what was delivered before can't be acknowledged now anyway
+  this.unendedContent = 0;
+  return this.allocate();
+};
+
 // Stop being able to send and receive methods and content. Used when
 // we close the channel. Invokes the continuation once the server has
 // acknowledged the close, but before the channel is moved to the
-// closed state.
+// closed state; or, with an error, if the server doesn't acknowledge
+// the close within the connection's `closeTimeout`.
 C.toClosing = function(capturedStack, k) {
   var send = this.sendImmediately.bind(this);
   invalidateSend(this, 'Channel closing', capturedStack);
@@ -186,8 +516,50 @@ C.toClosing = function(capturedStack, k) {
     else if (f.id === defs.ChannelClose) {
       send(defs.ChannelCloseOk, {});
     }
+    // The server may yet answer for messages published before the
+    // close; those left unconfirmed are rejected once it's closed.
+    else if (f.id === defs.BasicAck || f.id === defs.BasicNack) {
+      C.accept.call(this, f);
+    }
     // else ignore frame
   };
+
+  var timeout = this.connection.closeTimeout;
+  if (timeout > 0) {
+    var self = this;
+    this.closeTimer = setTimeout(function() {
+      self.closeTimer = null;
+      var err = new CloseTimeoutError(
+        fmt('Channel close not acknowledged within %dms', timeout),
+        timeout);
+      if (k) k(err);
+      var s = stackCapture('Channel close timed out');
+      self.toClosed(s, err);
+      // If the server won't answer on this channel, there's no
+      // telling what state it's in, so I give up on the whole
+      // connection. As with a connection close timing out, that's
+      // reported by 'close' and not 'error', since whoever closed the
+      // channel has been told already.
+      self.connection.forceClose(err);
+    }, timeout);
+  }
+};
+
+// No more content will arrive for a message being streamed
+C._abortContent = function(reason) {
+  var stream = this.incomingContent;
+  if (stream !== null) {
+    this.incomingContent = null;
+    this.unendedContent--;
+    stream.destroy(new Error(reason + ' before message content was complete'));
+  }
+};
+
+C._clearCloseTimer = function() {
+  if (this.closeTimer !== null) {
+    clearTimeout(this.closeTimer);
+    this.closeTimer = null;
+  }
 };
 
 C._rejectPending = function() {
@@ -202,6 +574,12 @@ C._rejectPending = function() {
   this.pending = null; // so pushes will break
 };
 
+C._rejectUnconfirmed = function(err) {
+  var unconfirmed = this.unconfirmed;
+  this.unconfirmed = [];
+  unconfirmed.forEach(function(cb) { if (cb) cb(err); });
+};
+
 C.closeBecause = function(reason, code, k) {
   this.sendImmediately(defs.ChannelClose, {
     replyText: reason,
@@ -268,10 +646,92 @@ function acceptDeliveryOrReturn(f) {
 
   var self = this;
   var fields = f.fields;
-  return acceptMessage(function(message) {
+  function deliver(message) {
     message.fields = fields;
     self.emit(event, message);
-  });
+  }
+  if (event === 'delivery' && this.streamsContent(fields))
+    return acceptStreamedMessage(this, deliver);
+  return acceptMessage(deliver);
+}
+
+// Overridden where there are consumers that want the content as a
+// stream
+C.streamsContent = function(fields) {
+  return false;
+};
+
+// A readable stream of message content, as it arrives
+function ContentStream(size) {
+  Readable.call(this);
+  this.size = size;
+  this.ended = false;
+  var self = this;
+  this.once('end', function() { self.ended = true; });
+}
+inherits(ContentStream, Readable);
+
+module.exports.ContentStream = ContentStream;
+
+// Content is pushed as it arrives, regardless of whether it's being
+// read. There's no sensible way to push back on the server for one
+// channel; so, to bound memory, use a prefetch limit.
+ContentStream.prototype._read = function() {};
+
+// Like acceptMessage, except that instead of collecting the content,
+// the continuation gets the message as soon as the headers arrive,
+// with `content` a stream which is fed the content frames as they
+// come in.
+function acceptStreamedMessage(channel, continuation) {
+  var totalSize = 0, remaining = 0;
+  var stream = null;
+
+  var message = {
+    fields: null,
+    properties: null,
+    content: null
+  };
+
+  return headers;
+
+  function headers(f) {
+    if (f.id === defs.BasicProperties) {
+      message.properties = f.fields;
+      totalSize = remaining = f.size;
+      stream = message.content = new ContentStream(totalSize);
+      channel.unendedContent++;
+      stream.once('end', function() { channel.unendedContent--; });
+      if (totalSize === 0) {
+        stream.push(null);
+        continuation(message);
+        return acceptDeliveryOrReturn;
+      }
+      channel.incomingContent = stream;
+      continuation(message);
+      return content;
+    }
+    else {
+      throw "Expected headers frame after delivery";
+    }
+  }
+
+  function content(f) {
+    if (f.content) {
+      remaining -= f.content.length;
+      if (remaining < 0) {
+        throw fmt("Too much content sent! Expected %d bytes",
+                  totalSize);
+      }
+      stream.push(f.content);
+      if (remaining === 0) {
+        channel.incomingContent = null;
+        stream.push(null);
+        return acceptDeliveryOrReturn;
+      }
+      return content;
+    }
+    else throw "Expected content frame after headers";
+  }
 }
 
 // Move to the state of waiting for message frames (headers, then
@@ -343,7 +803,9 @@ function acceptMessage(continuation) {
 }
 
 C.handleConfirm = function(handle, f) {
-  var tag = f.deliveryTag;
+  // may be a BigInt, if the connection decodes them; but publish
+  // sequence numbers won't get anywhere near 2^53
+  var tag = Number(f.deliveryTag);
   var multi = f.multiple;
 
   if (multi) {
@@ -373,13 +835,51 @@ C.handleConfirm = function(handle, f) {
   }
 };
 
-C.pushConfirmCallback = function(cb) {
+// If `timeout` (or failing that, the channel's `confirmTimeout`) is
+// given, the callback is called with a ConfirmTimeoutError should
+// the server not answer for the message within that many
+// milliseconds.
+//
+// This is given to `sendMessage` as `onSend`, with the first two
+// arguments bound; so if the message is dropped without being sent,
+// it's called with the error, which goes straight to the callback.
+C.pushConfirmCallback = function(cb, timeout, dropped) {
+  if (dropped) {
+    if (cb) cb(dropped);
+    return;
+  }
+  timeout = timeout || this.options.confirmTimeout;
+  if (cb && timeout > 0)
+    cb = this._timeConfirm(this.lwm + this.unconfirmed.length, cb, timeout);
   // `null` is used specifically for marking already confirmed slots,
   // so I coerce `undefined` and `null` to false; functions are never
   // falsey.
   this.unconfirmed.push(cb || false);
 };
 
+// Wrap the confirm callback for the message with the given tag so
+// that it's given up on after `timeout`. Until then, the message is
+// in the window of unconfirmed messages, and since it's still there
+// when the timer fires, whatever is in its slot (the callback, or
+// `waitForConfirms` wrapping it) is what to call. The slot is then
+// marked as confirmed, so nothing more waits for it, and a late ack
+// or nack goes nowhere.
+C._timeConfirm = function(tag, cb, timeout) {
+  var self = this, answered = false;
+  var timer = setTimeout(function() {
+    var i = tag - self.lwm, slot = self.unconfirmed[i];
+    self.unconfirmed[i] = null;
+    slot(new ConfirmTimeoutError(
+      fmt('Message not confirmed within %dms', timeout), timeout));
+  }, timeout);
+  return function(err) {
+    if (answered) return;
+    answered = true;
+    clearTimeout(timer);
+    cb(err);
+  };
+};
+
 // Interface for connection to use
 
 C.accept = function(f) {
@@ -420,14 +920,13 @@ C.accept = function(f) {
     this.emit('error', error);
 
     var s = stackCapture(emsg);
-    this.toClosed(s);
+    this.toClosed(s, error);
     return;
 
-  case defs.BasicFlow:
-    // RabbitMQ doesn't send this, it just blocks the TCP socket
-    return this.closeWithError(f.id, "Flow not implemented",
-                               defs.constants.NOT_IMPLEMENTED,
-                               new Error('Flow not implemented'));
+  case defs.ChannelFlow:
+    // RabbitMQ doesn't send this (it blocks the connection instead),
+    // but other brokers do
+    return this.onFlow(f.fields.active);
 
   default: // assume all other things are replies
     // Resolving the reply may lead to another RPC; to make sure we
@@ -446,16 +945,58 @@ C.accept = function(f) {
   }
 };
 
+// The server wants the channel to stop (or start again) sending
+// content. Messages published while it's stopped are held, and
+// publishing returns false, as it does when the buffer is full; when
+// it's started again they're sent, then 'drain' is emitted. A message
+// already being streamed is finished, since the answer can't go in
+// the middle of it; the answer waits for it, like any other method.
+C.onFlow = function(active) {
+  this.flowActive = active;
+  this.sendImmediately(defs.ChannelFlowOk, {active: active});
+  this.emit('flow', active);
+  if (active) this._sendWaiting();
+};
+
 C.onBufferDrain = function() {
+  this.bufferFull = false;
+  var waiters = this.drainWaiters;
+  this.drainWaiters = [];
+  waiters.forEach(function(w) { w.resolve(); });
   this.emit('drain');
 };
 
+// A promise resolved once the write buffer has drained (straight
+// away, if it's not full); or rejected, if the channel closes or is
+// suspended first, since then what's in the buffer won't be written.
+C.waitForDrain = function() {
+  if (!this.bufferFull) return Promise.resolve();
+  var waiters = this.drainWaiters;
+  return new Promise(function(resolve, reject) {
+    waiters.push({resolve: resolve, reject: reject});
+  });
+};
+
+C._rejectDrainWaiters = function(err) {
+  var waiters = this.drainWaiters;
+  this.drainWaiters = [];
+  waiters.forEach(function(w) { w.reject(err); });
+};
+
 
 // This adds just a bit more stuff useful for the APIs, but not
 // low-level machinery.
-function BaseChannel(connection) {
-  Channel.call(this, connection);
+function BaseChannel(connection, options) {
+  Channel.call(this, connection, options);
   this.consumers = {};
+  // consumer tags of those consumers given content as a stream
+  this.streaming = {};
+  // promises returned by consumer callbacks, while they're unsettled;
+  // see `settle`
+  this.handling = [];
+  // set by the model if the channel is to be recovered should the
+  // connection drop
+  this.recovery = null;
 }
 inherits(BaseChannel, Channel);
 
@@ -463,19 +1004,39 @@ module.exports.BaseChannel = BaseChannel;
 
 // Not sure I like the ff, it's going to be changing hidden classes
 // all over the place. On the other hand, whaddya do.
-BaseChannel.prototype.registerConsumer = function(tag, callback) {
+BaseChannel.prototype.registerConsumer = function(tag, callback, options) {
   this.consumers[tag] = callback;
+  if (options && options.streamContent) this.streaming[tag] = true;
 };
 
 BaseChannel.prototype.unregisterConsumer = function(tag) {
   delete this.consumers[tag];
+  delete this.streaming[tag];
+};
+
+BaseChannel.prototype.streamsContent = function(fields) {
+  return this.streaming[fields.consumerTag] === true;
+};
+
+// Acknowledging a message (or, with `allUpTo`, all messages so far)
+// is refused while content streams have yet to be read to the end,
+// since the content may yet turn out to be incomplete.
+BaseChannel.prototype.checkContentEnded = function(message, allUpTo) {
+  var unended = (allUpTo) ? this.unendedContent > 0
+    : (message.content instanceof ContentStream && !message.content.ended);
+  if (unended)
+    throw new IllegalOperationError(
+      'Cannot acknowledge a message before its content stream has ended');
 };
 
 BaseChannel.prototype.dispatchMessage = function(fields, message) {
   var consumerTag = fields.consumerTag;
   var consumer = this.consumers[consumerTag];
   if (consumer) {
-    return consumer(message);
+    var result = consumer(message);
+    if (result && typeof result.then === 'function')
+      this.trackHandler(result);
+    return result;
   }
   else {
     // %%% Surely a race here
@@ -483,6 +1044,46 @@ BaseChannel.prototype.dispatchMessage = function(fields, message) {
   }
 };
 
+BaseChannel.prototype.trackHandler = function(p) {
+  var handling = this.handling;
+  handling.push(p);
+  function done() {
+    var i = handling.indexOf(p);
+    if (i > -1) handling.splice(i, 1);
+  }
+  p.then(done, done);
+};
+
+// Resolve once the consumer callbacks presently running (those that
+// returned a promise), and the messages presently awaiting
+// confirmation, have all finished one way or another. Errors are left
+// to whoever was interested in the individual outcomes; and if the
+// channel closes, nothing more will finish, so that counts too.
+BaseChannel.prototype.settle = function() {
+  var self = this;
+  var waiting = this.handling.map(function(p) {
+    return Promise.resolve(p).reflect();
+  });
+  var unconfirmed = this.unconfirmed;
+  unconfirmed.forEach(function(val, index) {
+    if (val === null) return; // already confirmed
+    waiting.push(new Promise(function(resolve) {
+      unconfirmed[index] = function(err) {
+        if (val) val(err);
+        resolve();
+      };
+    }));
+  });
+  if (waiting.length === 0) return Promise.resolve();
+  return new Promise(function(resolve) {
+    self.once('close', resolve);
+    Promise.all(waiting).then(function() {
+      self.removeListener('close', resolve);
+      resolve();
+    });
+  });
+};
+
 BaseChannel.prototype.handleDelivery = function(message) {
   return this.dispatchMessage(message.fields, message);
 };
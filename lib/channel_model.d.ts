@@ -0,0 +1,183 @@
+// Declarations for ./channel_model.js, the promise API's connection
+// and channels. The method fields, properties and options come from
+// ./defs.d.ts, which is generated along with ./defs.js.
+
+/// <reference types="node" />
+
+import { EventEmitter } from 'events';
+import { Readable } from 'stream';
+import * as defs from './defs';
+
+export { FieldTable } from './defs';
+
+export interface Endpoint {
+  protocol: string;
+  hostname?: string;
+  port?: number;
+  path?: string;
+}
+
+export interface Negotiated {
+  channelMax: number;
+  frameMax: number;
+  heartbeat: number;
+}
+
+// The properties of a message received are decoded as sent, so any
+// of them may be missing
+export interface Message<Fields = defs.BasicDeliverFields> {
+  fields: Fields;
+  properties: defs.BasicProperties;
+  content: Buffer;
+}
+
+export type ConsumeMessage = Message<defs.BasicDeliverFields>;
+export type GetMessage = Message<defs.BasicGetOkFields>;
+export type ReturnedMessage = Message<defs.BasicReturnFields>;
+
+// What a consumer with the option `streamContent` is given
+export interface StreamedMessage {
+  fields: defs.BasicDeliverFields;
+  properties: defs.BasicProperties;
+  content: Readable;
+}
+
+// How to treat a message published while the connection is blocked;
+// see Connection#blockedPublish
+export type WhenBlocked = 'buffer' | 'reject' | 'wait';
+
+// `confirmTimeout` matters only on a confirm channel
+export interface PublishOptions extends defs.PublishOptions {
+  whenBlocked?: WhenBlocked;
+  confirmTimeout?: number;
+}
+
+export interface PublishStreamOptions extends PublishOptions {
+  contentLength: number;
+}
+
+// `requireCancelNotify` makes consuming fail if the server doesn't
+// advertise 'consumer_cancel_notify', for consumers that rely on
+// being called with `null` when cancelled
+export interface ConsumeOptions extends defs.ConsumeOptions {
+  streamContent?: boolean;
+  requireCancelNotify?: boolean;
+}
+
+// `highWaterMark` is how many frames a channel buffers before
+// publishing reports that it's full; `confirmTimeout` is how many
+// milliseconds a confirm channel waits for each message to be
+// confirmed
+export interface ChannelOptions {
+  highWaterMark?: number;
+  confirmTimeout?: number;
+}
+
+export interface DrainOptions {
+  timeout?: number;
+}
+
+// A consumer is called with `null` if the server cancels it. If it
+// returns a promise, draining waits for that to settle.
+export type Consumer<M> = (msg: M | null) => any;
+
+// Publishing returns whether the channel's buffer has room for more
+// (if not, wait for 'drain'; this is also the case while the
+// channel's flow is off); or, if the message is held while the
+// connection is blocked, with `whenBlocked: 'wait'`, a promise of that
+export type PublishResult = boolean | Promise<boolean>;
+
+export declare class ChannelModel extends EventEmitter {
+  readonly endpoint: Endpoint;
+  readonly serverProperties: defs.FieldTable;
+  readonly negotiated: Negotiated;
+
+  supports(capability: string): boolean;
+  close(): Promise<void>;
+  drain(options?: DrainOptions): Promise<void>;
+
+  createChannel(options?: ChannelOptions): Promise<Channel>;
+  createConfirmChannel(options?: ChannelOptions): Promise<ConfirmChannel>;
+}
+
+export declare class Channel extends EventEmitter {
+  close(): Promise<void>;
+
+  assertQueue(queue?: string, options?: defs.AssertQueueOptions):
+    Promise<defs.QueueDeclareOkFields>;
+  checkQueue(queue: string): Promise<defs.QueueDeclareOkFields>;
+  deleteQueue(queue: string, options?: defs.DeleteQueueOptions):
+    Promise<defs.QueueDeleteOkFields>;
+  purgeQueue(queue: string): Promise<defs.QueuePurgeOkFields>;
+  bindQueue(queue: string, source: string, pattern: string,
+            args?: defs.FieldTable): Promise<defs.QueueBindOkFields>;
+  unbindQueue(queue: string, source: string, pattern: string,
+              args?: defs.FieldTable): Promise<defs.QueueUnbindOkFields>;
+
+  assertExchange(exchange: string, type: string,
+                 options?: defs.AssertExchangeOptions):
+    Promise<{exchange: string}>;
+  checkExchange(exchange: string): Promise<defs.ExchangeDeclareOkFields>;
+  deleteExchange(exchange: string, options?: defs.DeleteExchangeOptions):
+    Promise<defs.ExchangeDeleteOkFields>;
+  bindExchange(destination: string, source: string, pattern: string,
+               args?: defs.FieldTable): Promise<defs.ExchangeBindOkFields>;
+  unbindExchange(destination: string, source: string, pattern: string,
+                 args?: defs.FieldTable):
+    Promise<defs.ExchangeUnbindOkFields>;
+
+  publish(exchange: string, routingKey: string, content: Buffer,
+          options?: PublishOptions): PublishResult;
+  sendToQueue(queue: string, content: Buffer,
+              options?: PublishOptions): PublishResult;
+  publishAsync(exchange: string, routingKey: string, content: Buffer,
+               options?: PublishOptions): Promise<void>;
+  publishStream(exchange: string, routingKey: string, stream: Readable,
+                options: PublishStreamOptions): Promise<void>;
+
+  consume(queue: string, onMessage: Consumer<StreamedMessage>,
+          options: ConsumeOptions & {streamContent: true}):
+    Promise<defs.BasicConsumeOkFields>;
+  consume(queue: string, onMessage: Consumer<ConsumeMessage>,
+          options?: ConsumeOptions): Promise<defs.BasicConsumeOkFields>;
+  cancel(consumerTag: string): Promise<defs.BasicCancelOkFields>;
+  drain(): Promise<void>;
+  get(queue: string, options?: defs.GetOptions): Promise<GetMessage | false>;
+
+  ack(message: Message<any> | StreamedMessage, allUpTo?: boolean): void;
+  ackAll(): void;
+  nack(message: Message<any> | StreamedMessage, allUpTo?: boolean,
+       requeue?: boolean): void;
+  nackAll(requeue?: boolean): void;
+  reject(message: Message<any> | StreamedMessage, requeue?: boolean): void;
+
+  prefetch(count: number, global?: boolean): Promise<defs.BasicQosOkFields>;
+  qos(count: number, global?: boolean): Promise<defs.BasicQosOkFields>;
+  recover(): Promise<defs.BasicRecoverOkFields>;
+  flow(active: boolean): Promise<defs.ChannelFlowOkFields>;
+}
+
+// The callback given to publish is called with `null` once the
+// server has acknowledged the message, or an error if it nacks it,
+// doesn't answer in time, or the channel closes. Without a callback,
+// publish returns a promise of the same.
+export type ConfirmCallback = (err: any) => void;
+
+export declare class ConfirmChannel extends Channel {
+  publish(exchange: string, routingKey: string, content: Buffer,
+          options?: PublishOptions): Promise<void>;
+  publish(exchange: string, routingKey: string, content: Buffer,
+          options?: PublishOptions,
+          callback?: ConfirmCallback): PublishResult;
+  sendToQueue(queue: string, content: Buffer,
+              options?: PublishOptions): Promise<void>;
+  sendToQueue(queue: string, content: Buffer, options?: PublishOptions,
+              callback?: ConfirmCallback): PublishResult;
+  publishAsync(exchange: string, routingKey: string, content: Buffer,
+               options?: PublishOptions,
+               callback?: ConfirmCallback): Promise<void>;
+  publishStream(exchange: string, routingKey: string, stream: Readable,
+                options: PublishStreamOptions,
+                callback?: ConfirmCallback): Promise<void>;
+  waitForConfirms(): Promise<void>;
+}
@@ -11,16 +11,24 @@ var EventEmitter = require('events').EventEmitter;
 var BaseChannel = require('./channel').BaseChannel;
 var acceptMessage = require('./channel').acceptMessage;
 var Args = require('./api_args');
+var fmt = require('util').format;
 
-function ChannelModel(connection) {
+// If `recovery` is supplied (see ./recovery), the model will
+// reconnect and restore its channels when the connection is lost.
+function ChannelModel(connection, recovery) {
   if (!(this instanceof ChannelModel))
-    return new ChannelModel(connection);
+    return new ChannelModel(connection, recovery);
   EventEmitter.call( this );
   this.connection = connection;
+  this.recovery = recovery || null;
   var self = this;
-  ['error', 'close', 'blocked', 'unblocked'].forEach(function(ev) {
-    connection.on(ev, self.emit.bind(self, ev));
-  });
+  if (this.recovery) this.recovery.attach(this);
+  else {
+    ['error', 'close', 'blocked', 'unblocked',
+     'heartbeat'].forEach(function(ev) {
+      connection.on(ev, self.emit.bind(self, ev));
+    });
+  }
 }
 inherits(ChannelModel, EventEmitter);
 
@@ -28,14 +36,87 @@ module.exports.ChannelModel = ChannelModel;
 
 var CM = ChannelModel.prototype;
 
+// These are read from the connection, since that is replaced when
+// recovering.
+Object.defineProperties(CM, {
+  // where the connection went, e.g., to log which of several hosts
+  // was connected to
+  endpoint: {get: function() { return this.connection.endpoint; }},
+  // as sent by the server in connection.start
+  serverProperties: {
+    get: function() { return this.connection.serverProperties; }
+  },
+  // the values settled on in the opening handshake
+  negotiated: {
+    get: function() {
+      var c = this.connection;
+      return {
+        channelMax: c.channelMax, frameMax: c.frameMax,
+        heartbeat: c.heartbeat
+      };
+    }
+  }
+});
+
+// e.g., `model.supports('publisher_confirms')`
+CM.supports = function(capability) {
+  return this.connection.supports(capability);
+};
+
 CM.close = function() {
+  if (this.recovery && this.recovery.abandon()) return Promise.resolve();
   return Promise.fromCallback(this.connection.close.bind(this.connection));
 };
 
+// Shut down gracefully: cancel all consumers, wait for any handlers
+// that are still going (that is, those that returned a promise) and
+// for outstanding publisher confirms, then close. If
+// `options.timeout` is given, it's a deadline in milliseconds for the
+// whole lot; if it passes before everything has settled, I close
+// anyway, and reject with a Promise.TimeoutError. That includes
+// everything settling only once the deadline has passed: there's then
+// no time left to close nicely, so what's still buffered to be sent
+// may be dropped, and the drain counts as not having finished.
+CM.drain = function(options) {
+  var self = this;
+  var timeout = (options && options.timeout) || 0;
+  var started = Date.now();
+  var channels = [];
+  // Not every channel belongs to the model: e.g., recovery uses a
+  // plain Channel to redeclare things, and that has nothing to drain
+  this.connection._eachChannel(function(ch) {
+    if (typeof ch.drain === 'function') channels.push(ch);
+  });
+  var drained = Promise.map(channels, function(ch) { return ch.drain(); });
+  if (timeout > 0)
+    drained = drainDeadline(drained, timeout, started);
+
+  function close() {
+    if (timeout > 0)
+      self.connection.limitCloseTimeout(timeout - (Date.now() - started));
+    return self.close();
+  }
+  return drained.then(close, function(err) {
+    // the drain error is the more interesting one
+    function rethrow() { throw err; }
+    return close().then(rethrow, rethrow);
+  });
+};
+
+// Used by both models' `drain`
+function drainDeadline(drained, timeout, started) {
+  var msg = fmt('Drain did not finish within %dms', timeout);
+  return drained.timeout(timeout, msg).then(function() {
+    if (Date.now() - started >= timeout)
+      throw new Promise.TimeoutError(msg);
+  });
+}
+module.exports.drainDeadline = drainDeadline;
+
 // Channels
 
-function Channel(connection) {
-  BaseChannel.call(this, connection);
+function Channel(connection, options) {
+  BaseChannel.call(this, connection, options);
   this.on('delivery', this.handleDelivery.bind(this));
   this.on('cancel', this.handleCancel.bind(this));
 }
@@ -43,9 +124,15 @@ inherits(Channel, BaseChannel);
 
 module.exports.Channel = Channel;
 
-CM.createChannel = function() {
-  var c = new Channel(this.connection);
-  return c.open().then(function(openOk) { return c; });
+// `options.highWaterMark` is the number of frames the channel will
+// buffer before `publish` returns false (and `publishAsync` waits).
+CM.createChannel = function(options) {
+  var recovery = this.recovery;
+  var c = new Channel(this.connection, options);
+  return c.open().then(function(openOk) {
+    if (recovery) recovery.addChannel(c, false);
+    return c;
+  });
 };
 
 var C = Channel.prototype;
@@ -83,9 +170,14 @@ C.close = function() {
 // === Public API, declaring queues and stuff ===
 
 C.assertQueue = function(queue, options) {
+  var self = this;
   return this.rpc(defs.QueueDeclare,
                   Args.assertQueue(queue, options),
-                  defs.QueueDeclareOk);
+                  defs.QueueDeclareOk)
+    .tap(function(ok) {
+      if (self.recovery)
+        self.recovery.recordQueue(queue, options, ok.queue);
+    });
 };
 
 C.checkQueue = function(queue) {
@@ -95,9 +187,13 @@ C.checkQueue = function(queue) {
 };
 
 C.deleteQueue = function(queue, options) {
+  var self = this;
   return this.rpc(defs.QueueDelete,
                   Args.deleteQueue(queue, options),
-                  defs.QueueDeleteOk);
+                  defs.QueueDeleteOk)
+    .tap(function() {
+      if (self.recovery) self.recovery.forgetQueue(queue);
+    });
 };
 
 C.purgeQueue = function(queue) {
@@ -107,24 +203,39 @@ C.purgeQueue = function(queue) {
 };
 
 C.bindQueue = function(queue, source, pattern, argt) {
+  var self = this;
   return this.rpc(defs.QueueBind,
                   Args.bindQueue(queue, source, pattern, argt),
-                  defs.QueueBindOk);
+                  defs.QueueBindOk)
+    .tap(function() {
+      if (self.recovery)
+        self.recovery.recordBinding('queue', queue, source, pattern, argt);
+    });
 };
 
 C.unbindQueue = function(queue, source, pattern, argt) {
+  var self = this;
   return this.rpc(defs.QueueUnbind,
                   Args.unbindQueue(queue, source, pattern, argt),
-                  defs.QueueUnbindOk);
+                  defs.QueueUnbindOk)
+    .tap(function() {
+      if (self.recovery)
+        self.recovery.forgetBinding('queue', queue, source, pattern, argt);
+    });
 };
 
 C.assertExchange = function(exchange, type, options) {
+  var self = this;
   // The server reply is an empty set of fields, but it's convenient
   // to have the exchange name handed to the continuation.
   return this.rpc(defs.ExchangeDeclare,
                   Args.assertExchange(exchange, type, options),
                   defs.ExchangeDeclareOk)
-    .then(function(_ok) { return { exchange: exchange }; });
+    .then(function(_ok) {
+      if (self.recovery)
+        self.recovery.recordExchange(exchange, type, options);
+      return { exchange: exchange };
+    });
 };
 
 C.checkExchange = function(exchange) {
@@ -134,44 +245,103 @@ C.checkExchange = function(exchange) {
 };
 
 C.deleteExchange = function(name, options) {
+  var self = this;
   return this.rpc(defs.ExchangeDelete,
                   Args.deleteExchange(name, options),
-                  defs.ExchangeDeleteOk);
+                  defs.ExchangeDeleteOk)
+    .tap(function() {
+      if (self.recovery) self.recovery.forgetExchange(name);
+    });
 };
 
 C.bindExchange = function(dest, source, pattern, argt) {
-  return this.rpc(defs.ExchangeBind,
-                  Args.bindExchange(dest, source, pattern, argt),
-                  defs.ExchangeBindOk);
+  var self = this;
+  return Promise.try(function() {
+    self.connection.requireCapability('exchange_exchange_bindings',
+                                      'bindExchange');
+    return self.rpc(defs.ExchangeBind,
+                    Args.bindExchange(dest, source, pattern, argt),
+                    defs.ExchangeBindOk);
+  })
+    .tap(function() {
+      if (self.recovery)
+        self.recovery.recordBinding('exchange', dest, source, pattern, argt);
+    });
 };
 
 C.unbindExchange = function(dest, source, pattern, argt) {
-  return this.rpc(defs.ExchangeUnbind,
-                  Args.unbindExchange(dest, source, pattern, argt),
-                  defs.ExchangeUnbindOk);
+  var self = this;
+  return Promise.try(function() {
+    self.connection.requireCapability('exchange_exchange_bindings',
+                                      'unbindExchange');
+    return self.rpc(defs.ExchangeUnbind,
+                    Args.unbindExchange(dest, source, pattern, argt),
+                    defs.ExchangeUnbindOk);
+  })
+    .tap(function() {
+      if (self.recovery)
+        self.recovery.forgetBinding('exchange', dest, source, pattern, argt);
+    });
 };
 
 // Working with messages
 
-C.publish = function(exchange, routingKey, content, options) {
+// Returns the result of writing the message to the channel buffer;
+// or, if the connection is blocked and the message is to wait (see
+// `options.whenBlocked`), a promise of that.
+C.publish = C._publish = function(exchange, routingKey, content, options) {
   var fieldsAndProps = Args.publish(exchange, routingKey, options);
-  return this.sendMessage(fieldsAndProps, fieldsAndProps, content);
+  return this.sendMessage(fieldsAndProps, fieldsAndProps, content,
+                          options && options.whenBlocked);
 };
 
 C.sendToQueue = function(queue, content, options) {
   return this.publish('', queue, content, options);
 };
 
+// Like `publish`, but the promise returned is resolved once the
+// message is in the channel buffer and the buffer has room for more;
+// that is, if the buffer is over its high water mark, not until it
+// has drained. (On a confirm channel, the callback is passed on to
+// `publish`.)
+C.publishAsync = function(exchange, routingKey, content, options, cb) {
+  var self = this;
+  return Promise.try(function() {
+    return self._publish(exchange, routingKey, content, options, cb);
+  }).then(function(ok) {
+    if (!ok) return self.waitForDrain();
+  });
+};
+
+// Publish a message with the content read from a stream; the length
+// of the content must be given as `options.contentLength`. The
+// promise returned is resolved once all the content has been sent.
+C.publishStream = function(exchange, routingKey, stream, options) {
+  var fieldsAndProps = Args.publish(exchange, routingKey, options);
+  return this.sendStream(fieldsAndProps, fieldsAndProps, stream,
+                         options && options.contentLength,
+                         options && options.whenBlocked);
+};
+
+// With `options.requireCancelNotify`, the consumer is relying on
+// being called with `null` should the server cancel it, so consuming
+// fails early if the server doesn't say it will do that.
 C.consume = function(queue, callback, options) {
   var self = this;
   // NB we want the callback to be run synchronously, so that we've
   // registered the consumerTag before any messages can arrive.
   var fields = Args.consume(queue, options);
   return Promise.fromCallback(function(cb) {
+    if (options && options.requireCancelNotify)
+      self.connection.requireCapability('consumer_cancel_notify',
+                                        'consume with requireCancelNotify');
     self._rpc(defs.BasicConsume, fields, defs.BasicConsumeOk, cb);
   })
   .then(function(ok) {
-    self.registerConsumer(ok.fields.consumerTag, callback);
+    self.registerConsumer(ok.fields.consumerTag, callback, options);
+    if (self.recovery)
+      self.recovery.recordConsumer(self, ok.fields.consumerTag,
+                                   queue, options);
     return ok.fields;
   });
 };
@@ -185,10 +355,22 @@ C.cancel = function(consumerTag) {
   })
   .then(function(ok) {
     self.unregisterConsumer(consumerTag);
+    if (self.recovery) self.recovery.forgetConsumer(self, consumerTag);
     return ok.fields;
   });
 };
 
+// Cancel all the consumers, then wait for things to settle (see
+// BaseChannel#settle). Failing to cancel (e.g., because the channel
+// has closed) doesn't stop the rest.
+C.drain = function() {
+  var self = this;
+  return Promise.map(Object.keys(this.consumers), function(tag) {
+    return self.cancel(tag).catch(function() {});
+  })
+  .then(function() { return self.settle(); });
+};
+
 C.get = function(queue, options) {
   var self = this;
   var fields = Args.get(queue, options);
@@ -216,22 +398,28 @@ C.get = function(queue, options) {
 };
 
 C.ack = function(message, allUpTo) {
+  this.checkContentEnded(message, allUpTo);
   this.sendImmediately(
     defs.BasicAck,
     Args.ack(message.fields.deliveryTag, allUpTo));
 };
 
 C.ackAll = function() {
+  this.checkContentEnded(null, true);
   this.sendImmediately(defs.BasicAck, Args.ack(0, true));
 };
 
 C.nack = function(message, allUpTo, requeue) {
+  this.connection.requireCapability('basic.nack', 'nack');
+  this.checkContentEnded(message, allUpTo);
   this.sendImmediately(
     defs.BasicNack,
     Args.nack(message.fields.deliveryTag, allUpTo, requeue));
 };
 
 C.nackAll = function(requeue) {
+  this.connection.requireCapability('basic.nack', 'nackAll');
+  this.checkContentEnded(null, true);
   this.sendImmediately(defs.BasicNack,
                        Args.nack(0, true, requeue));
 };
@@ -241,6 +429,7 @@ C.nackAll = function(requeue) {
 // `Basic.Reject`. This is otherwise synonymous with
 // `#nack(message, false, requeue)`.
 C.reject = function(message, requeue) {
+  this.checkContentEnded(message, false);
   this.sendImmediately(
     defs.BasicReject,
     Args.reject(message.fields.deliveryTag, requeue));
@@ -252,9 +441,27 @@ C.reject = function(message, requeue) {
 // (without `global` set) as per-consumer (for consumers following),
 // and prefetch with `global` set as per-channel.
 C.prefetch = C.qos = function(count, global) {
+  var self = this;
   return this.rpc(defs.BasicQos,
                   Args.prefetch(count, global),
-                  defs.BasicQosOk);
+                  defs.BasicQosOk)
+    .tap(function() {
+      if (self.recovery) self.recovery.recordPrefetch(self, count, global);
+    });
+};
+
+// Ask the server to stop (or start again) sending messages to the
+// channel's consumers. Not all servers support this; RabbitMQ, for
+// one, refuses to stop, and closes the connection with
+// NOT_IMPLEMENTED.
+C.flow = function(active) {
+  var self = this;
+  return this.rpc(defs.ChannelFlow,
+                  Args.flow(active),
+                  defs.ChannelFlowOk)
+    .tap(function() {
+      if (self.recovery) self.recovery.recordFlow(self, active);
+    });
 };
 
 C.recover = function() {
@@ -268,36 +475,95 @@ C.recover = function() {
 // from the server. The upshot of this is that `publish` and
 // `sendToQueue` both take a callback, which will be called either
 // with `null` as its argument to signify 'ack', or an exception as
-// its argument to signify 'nack'.
+// its argument to signify 'nack'; or, if not given a callback,
+// return a promise.
 
-function ConfirmChannel(connection) {
-  Channel.call(this, connection);
+function ConfirmChannel(connection, options) {
+  Channel.call(this, connection, options);
 }
 inherits(ConfirmChannel, Channel);
 
 module.exports.ConfirmChannel = ConfirmChannel;
 
-CM.createConfirmChannel = function() {
-  var c = new ConfirmChannel(this.connection);
-  return c.open()
+// As well as `highWaterMark`, `options` may have `confirmTimeout`,
+// for how long to wait for each message to be confirmed before giving
+// up on it (publish can override this).
+CM.createConfirmChannel = function(options) {
+  var self = this;
+  var recovery = this.recovery;
+  var c;
+  return Promise.try(function() {
+    self.connection.requireCapability('publisher_confirms',
+                                      'createConfirmChannel');
+    c = new ConfirmChannel(self.connection, options);
+    return c.open();
+  })
     .then(function(openOk) {
       return c.rpc(defs.ConfirmSelect, {nowait: false},
                    defs.ConfirmSelectOk)
     })
-    .then(function() { return c; });
+    .then(function() {
+      if (recovery) recovery.addChannel(c, true);
+      return c;
+    });
 };
 
 var CC = ConfirmChannel.prototype;
 
+// Returns the result of writing the message, as Channel#publish
+// does.
+CC._publish = function(exchange, routingKey, content, options, cb) {
+  var fieldsAndProps = Args.publish(exchange, routingKey, options);
+  // The callback goes in when the message is sent, which may be
+  // later if the connection is blocked
+  return this.sendMessage(fieldsAndProps, fieldsAndProps, content,
+                          options && options.whenBlocked,
+                          this.pushConfirmCallback.bind(
+                            this, cb, options && options.confirmTimeout));
+};
+
+// Without a callback, this returns a promise of the message being
+// confirmed: resolved on an ack, and rejected on a nack, if
+// `options.confirmTimeout` (or the channel's) passes first, or if the
+// channel closes. The result of writing the message is then not
+// available; `publishAsync` is for waiting on that.
+//
+// Plenty of code publishes without looking at what's returned, and
+// relies on `waitForConfirms` to see failures; so the promise is
+// never reported as an unhandled rejection if it's ignored. Errors
+// in the arguments are still thrown, as they would be with a
+// callback.
 CC.publish = function(exchange, routingKey, content, options, cb) {
-  this.pushConfirmCallback(cb);
-  return C.publish.call(this, exchange, routingKey, content, options);
+  if (cb) return this._publish(exchange, routingKey, content, options, cb);
+  var resolve, reject;
+  var confirmed = new Promise(function(res, rej) {
+    resolve = res; reject = rej;
+  });
+  confirmed.catch(function() {});
+  var sent = this._publish(exchange, routingKey, content, options,
+                           function(err) {
+                             if (err === null) resolve();
+                             else reject(err);
+                           });
+  // if it's held while the connection is blocked, it may yet be
+  // refused
+  if (sent && typeof sent.then === 'function') sent.then(null, reject);
+  return confirmed;
 };
 
 CC.sendToQueue = function(queue, content, options, cb) {
   return this.publish('', queue, content, options, cb);
 };
 
+CC.publishStream = function(exchange, routingKey, stream, options, cb) {
+  var fieldsAndProps = Args.publish(exchange, routingKey, options);
+  return this.sendStream(fieldsAndProps, fieldsAndProps, stream,
+                         options && options.contentLength,
+                         options && options.whenBlocked,
+                         this.pushConfirmCallback.bind(
+                           this, cb, options && options.confirmTimeout));
+};
+
 CC.waitForConfirms = function() {
   var awaiting = [];
   var unconfirmed = this.unconfirmed;
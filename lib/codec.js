@@ -42,6 +42,13 @@ published. So far as I know, no-one uses the types and tags as
 published. http://www.rabbitmq.com/amqp-0-9-1-errata.html gives the
 list of field-table types.
 
+I decode every tag from either list. Where the two disagree, the
+RabbitMQ/QPid meaning wins: 's' is a signed 16-bit integer (not a
+short string) and 'l' a signed 64-bit integer (not an unsigned
+one). The specification's 'U' and 'L' are decoded as signed 16- and
+64-bit integers too, but I always encode those types with the
+RabbitMQ/QPid tags.
+
 Lastly, there are (sets of) properties, only one of which is given in
 AMQP 0-9-1: `BasicProperties`. These are almost the same as methods,
 except that they appear in content header frames, which include a
@@ -74,6 +81,26 @@ function isFloatingPoint(n) {
          && Math.floor(n) !== n);
 }
 
+// 64-bit integers can be given as a BigInt, which (unlike a JS
+// number) can represent all of them exactly. BigInt isn't in older
+// JavaScript runtimes; but then, neither are BigInt values, so the
+// Buffer methods are only used when there's a BigInt to hand.
+function writeInt64BE(buffer, val, offset) {
+    if (typeof val === 'bigint') buffer.writeBigInt64BE(val, offset);
+    else ints.writeInt64BE(buffer, val, offset);
+}
+
+function writeUInt64BE(buffer, val, offset) {
+    if (typeof val === 'bigint') buffer.writeBigUInt64BE(val, offset);
+    else ints.writeUInt64BE(buffer, val, offset);
+}
+
+// AMQP timestamps are in seconds since the epoch; JavaScript dates
+// are in milliseconds.
+function dateToTimestamp(date) {
+    return Math.floor(date.getTime() / 1000);
+}
+
 function encodeTable(buffer, val, offset) {
     var start = offset;
     offset += 4; // leave room for the table length
@@ -101,18 +128,32 @@ function encodeArray(buffer, val, offset) {
     return size;
 }
 
-function encodeFieldValue(buffer, value, offset) {
-    var start = offset;
+// A trapdoor for specifying a type, e.g., timestamp
+function isExplicit(value) {
+    return value && typeof value === 'object' && value.hasOwnProperty('!');
+}
+
+// The type to encode a field value as; either given explicitly, or
+// guessed from the value.
+function fieldType(value) {
     var type = typeof value, val = value;
-    // A trapdoor for specifying a type, e.g., timestamp
-    if (value && type === 'object' && value.hasOwnProperty('!')) {
+    if (isExplicit(value)) {
         val = value.value;
         type = value['!'];
     }
+    // Otherwise a Date can only sensibly be a timestamp
+    else if (value instanceof Date) {
+        return 'timestamp';
+    }
 
+    // A BigInt is there to be a 64-bit integer; to encode it as a
+    // timestamp, use {'!': 'timestamp', value: val}
+    if (type == 'bigint') {
+        return 'long';
+    }
     // If it's a JS number, we'll have to guess what type to encode it
     // as.
-    if (type == 'number') {
+    else if (type == 'number') {
         // Making assumptions about the kind of number (floating point
         // v integer, signed, unsigned, size) desired is dangerous in
         // general; however, in practice RabbitMQ uses only
@@ -143,6 +184,13 @@ function encodeFieldValue(buffer, value, offset) {
             }
         }
     }
+    return type;
+}
+
+function encodeFieldValue(buffer, value, offset) {
+    var start = offset;
+    var type = fieldType(value);
+    var val = (isExplicit(value)) ? value.value : value;
 
     function tag(t) { buffer.write(t, offset); offset++; }
 
@@ -201,14 +249,29 @@ function encodeFieldValue(buffer, value, offset) {
     case 'long':
     case 'int64':
         tag('l');
-        ints.writeInt64BE(buffer, val, offset); offset += 8;
+        writeInt64BE(buffer, val, offset); offset += 8;
+        break;
+    // Unsigned integers are never guessed, since RabbitMQ prefers
+    // signed values (and there's no unsigned 64-bit tag it agrees on)
+    case 'uint8':
+        tag('B');
+        buffer.writeUInt8(val, offset); offset++;
+        break;
+    case 'uint16':
+        tag('u');
+        buffer.writeUInt16BE(val, offset); offset += 2;
+        break;
+    case 'uint32':
+        tag('i');
+        buffer.writeUInt32BE(val, offset); offset += 4;
         break;
 
     // Now for exotic types, those can _only_ be denoted by using
     // `{'!': type, value: val}
     case 'timestamp':
         tag('T');
-        ints.writeUInt64BE(buffer, val, offset); offset += 8;
+        if (val instanceof Date) val = dateToTimestamp(val);
+        writeUInt64BE(buffer, val, offset); offset += 8;
         break;
     case 'float':
         tag('f');
@@ -217,12 +280,13 @@ function encodeFieldValue(buffer, value, offset) {
     case 'decimal':
         tag('D');
         if (val.hasOwnProperty('places') && val.hasOwnProperty('digits')
-            && val.places >= 0 && val.places < 256) {
+            && val.places >= 0 && val.places < 256
+            && val.digits >= -0x80000000 && val.digits < 0x80000000) {
             buffer[offset] = val.places; offset++;
-            buffer.writeUInt32BE(val.digits, offset); offset += 4;
+            buffer.writeInt32BE(val.digits, offset); offset += 4;
         }
         else throw new TypeError(
-            "Decimal value must be {'places': 0..255, 'digits': uint32}, " +
+            "Decimal value must be {'places': 0..255, 'digits': int32}, " +
                 "got " + JSON.stringify(val));
         break;
     default:
@@ -231,9 +295,74 @@ function encodeFieldValue(buffer, value, offset) {
     return offset - start;
 }
 
+// How many bytes `encodeTable` will take to encode a table (including
+// its length prefix), so that a buffer of the right size can be
+// supplied.
+function tableSize(val) {
+    var size = 4;
+    for (var key in val) {
+        if (val[key] !== undefined) {
+            size += 1 + Buffer.byteLength(key) + fieldValueSize(val[key]);
+        }
+    }
+    return size;
+}
+
+function arraySize(val) {
+    var size = 4;
+    for (var i=0, num=val.length; i < num; i++) {
+        size += fieldValueSize(val[i]);
+    }
+    return size;
+}
+
+// This must agree with `encodeFieldValue`; each size includes the
+// type tag.
+function fieldValueSize(value) {
+    var type = fieldType(value);
+    var val = (isExplicit(value)) ? value.value : value;
+
+    switch (type) {
+    case 'string':
+        return 5 + Buffer.byteLength(val, 'utf8');
+    case 'object':
+        if (val === null) return 1;
+        else if (Array.isArray(val)) return 1 + arraySize(val);
+        else if (Buffer.isBuffer(val)) return 5 + val.length;
+        else return 1 + tableSize(val);
+    case 'boolean':
+    case 'byte':
+    case 'int8':
+    case 'uint8':
+        return 2;
+    case 'short':
+    case 'int16':
+    case 'uint16':
+        return 3;
+    case 'int':
+    case 'int32':
+    case 'uint32':
+    case 'float':
+        return 5;
+    case 'decimal':
+        return 6;
+    case 'double':
+    case 'float64':
+    case 'long':
+    case 'int64':
+    case 'timestamp':
+        return 9;
+    default:
+        throw new TypeError('Unknown type to encode: ' + type);
+    }
+}
+
 // Assume we're given a slice of the buffer that contains just the
-// fields.
-function decodeFields(slice) {
+// fields. If `bigint` is true, 64-bit integers are decoded as BigInt
+// values; otherwise as numbers, which will lose precision above
+// 2^53. If `dates` is true, timestamps are decoded as Date values;
+// otherwise as {'!': 'timestamp', value: seconds}.
+function decodeFields(slice, bigint, dates) {
     var fields = {}, offset = 0, size = slice.length;
     var len, key, val;
 
@@ -243,6 +372,9 @@ function decodeFields(slice) {
         case 'b':
             val = slice.readInt8(offset); offset++;
             break;
+        case 'B':
+            val = slice.readUInt8(offset); offset++;
+            break;
         case 'S':
             len = slice.readUInt32BE(offset); offset += 4;
             val = slice.toString('utf8', offset, offset + len);
@@ -251,18 +383,29 @@ function decodeFields(slice) {
         case 'I':
             val = slice.readInt32BE(offset); offset += 4;
             break;
-        case 'D': // only positive decimals, apparently.
+        case 'i':
+            val = slice.readUInt32BE(offset); offset += 4;
+            break;
+        case 'D': // the errata say signed, whatever the spec says
             var places = slice[offset]; offset++;
-            var digits = slice.readUInt32BE(offset); offset += 4;
+            var digits = slice.readInt32BE(offset); offset += 4;
             val = {'!': 'decimal', value: {places: places, digits: digits}};
             break;
         case 'T':
-            val = ints.readUInt64BE(slice, offset); offset += 8;
-            val = {'!': 'timestamp', value: val};
+            if (dates) {
+                val = new Date(ints.readUInt64BE(slice, offset) * 1000);
+            }
+            else {
+                val = (bigint) ? slice.readBigUInt64BE(offset)
+                    : ints.readUInt64BE(slice, offset);
+                val = {'!': 'timestamp', value: val};
+            }
+            offset += 8;
             break;
         case 'F':
             len = slice.readUInt32BE(offset); offset += 4;
-            val = decodeFields(slice.slice(offset, offset + len));
+            val = decodeFields(slice.slice(offset, offset + len),
+                               bigint, dates);
             offset += len;
             break;
         case 'A':
@@ -277,11 +420,18 @@ function decodeFields(slice) {
             val = slice.readFloatBE(offset); offset += 4;
             break;
         case 'l':
-            val = ints.readInt64BE(slice, offset); offset += 8;
+        case 'L':
+            val = (bigint) ? slice.readBigInt64BE(offset)
+                : ints.readInt64BE(slice, offset);
+            offset += 8;
             break;
         case 's':
+        case 'U':
             val = slice.readInt16BE(offset); offset += 2;
             break;
+        case 'u':
+            val = slice.readUInt16BE(offset); offset += 2;
+            break;
         case 't':
             val = slice[offset] != 0; offset++;
             break;
@@ -318,4 +468,7 @@ function decodeFields(slice) {
 }
 
 module.exports.encodeTable = encodeTable;
+module.exports.tableSize = tableSize;
 module.exports.decodeFields = decodeFields;
+module.exports.writeUInt64BE = writeUInt64BE;
+module.exports.dateToTimestamp = dateToTimestamp;
@@ -16,6 +16,8 @@ var Duplex =
   require('readable-stream/duplex');
 var EventEmitter = require('events').EventEmitter;
 var Heart = require('./heartbeat').Heart;
+var DEFAULT_TOLERANCE = require('./heartbeat').DEFAULT_TOLERANCE;
+var now = require('./heartbeat').now;
 
 var methodName = require('./format').methodName;
 var closeMsg = require('./format').closeMessage;
@@ -27,7 +29,9 @@ var fmt = require('util').format;
 var PassThrough = require('stream').PassThrough ||
   require('readable-stream/passthrough');
 var IllegalOperationError = require('./error').IllegalOperationError;
+var CloseTimeoutError = require('./error').CloseTimeoutError;
 var stackCapture = require('./error').stackCapture;
+var trace = require('./trace');
 
 // High-water mark for channel write buffers, in 'objects' (which are
 // encoded frames as buffers).
@@ -44,12 +48,44 @@ function Connection(underlying) {
   this.muxer = new Mux(stream);
 
   // frames
-  this.rest = Buffer.alloc(0);
+  this.parser = new frame.FrameParser();
   this.frameMax = constants.FRAME_MIN_SIZE;
-  this.sentSinceLastCheck = false;
-  this.recvSinceLastCheck = false;
+  // whether `frameMax` is the negotiated one, and so a limit on the
+  // frames I send; see `checkFrameSize`
+  this.frameMaxNegotiated = false;
+  // when frames were last sent and received, on the monotonic clock;
+  // see ./heartbeat
+  this.lastSend = this.lastRecv = now();
+  // how many heartbeat intervals to go without hearing from the
+  // server before giving up on it
+  this.heartbeatTolerance = DEFAULT_TOLERANCE;
+  // whether to decode 64-bit integers (e.g., delivery tags, and long
+  // values in headers) as BigInt rather than losing precision
+  this.useBigInt = false;
+  // whether to decode timestamps (e.g., the timestamp property) as
+  // Date values
+  this.useDates = false;
 
   this.expectSocketClose = false;
+  // How long, in milliseconds, to wait for the server to acknowledge
+  // closing the connection or a channel before giving up on it; 0
+  // means wait as long as it takes
+  this.closeTimeout = 0;
+  this.closeTimer = null;
+  // from connection.start, once opening
+  this.serverProperties = null;
+  // continuations waiting for UpdateSecretOk, in order
+  this.secretUpdates = [];
+
+  // connection.blocked state; see `blockedPublish`
+  this.blocked = false;
+  this.blockedReason = null;
+  this.blockedPolicy = {
+    whenBlocked: 'buffer', bufferLimit: Infinity, maxDuration: 0
+  };
+  this.blockedBuffered = 0;
+  this.blockedTimer = null;
+  this.blockedTimeout = null;
   this.freeChannels = new BitSet();
   this.channels = [{channel: {accept: channel0(this)},
                     buffer: underlying}];
@@ -96,10 +132,14 @@ function channel0(connection) {
       connection.toClosed(s, e);
     }
     else if (f.id === defs.ConnectionBlocked) {
-      connection.emit('blocked', f.fields.reason);
+      connection.toBlocked(f.fields.reason);
     }
     else if (f.id === defs.ConnectionUnblocked) {
-      connection.emit('unblocked');
+      connection.toUnblocked();
+    }
+    else if (f.id === defs.ConnectionUpdateSecretOk &&
+             connection.secretUpdates.length > 0) {
+      connection.secretUpdates.shift()(null);
     }
     else {
       connection.closeWithError(
@@ -135,10 +175,11 @@ C.sendProtocolHeader = function() {
        open ->
          <- open-ok
 
-If I'm only supporting SASL's PLAIN mechanism (which I am for the time
-being), it gets a bit easier since the server won't in general send
-back a `secure`, it'll just send `tune` after the `start-ok`.
-(SASL PLAIN: http://tools.ietf.org/html/rfc4616)
+With SASL's PLAIN mechanism, the server won't in general send back a
+`secure`, it'll just send `tune` after the `start-ok`.
+(SASL PLAIN: http://tools.ietf.org/html/rfc4616). Other mechanisms
+may issue challenges with `secure`, which are answered by the
+credentials given as `allFields.credentials` (see ./credentials).
 
 */
 
@@ -199,6 +240,7 @@ C.open = function(allFields, openCallback0) {
   }
 
   function onStart(start) {
+    self.serverProperties = start.fields.serverProperties;
     var mechanisms = start.fields.mechanisms.toString().split(' ');
     if (mechanisms.indexOf(allFields.mechanism) < 0) {
       bail(new Error(fmt('SASL mechanism %s is not provided by the server',
@@ -212,8 +254,19 @@ C.open = function(allFields, openCallback0) {
   function afterStartOk(reply) {
     switch (reply.id) {
     case defs.ConnectionSecure:
-      bail(new Error(
-        "Wasn't expecting to have to go through secure"));
+      var creds = allFields.credentials;
+      if (!creds || typeof creds.challenge !== 'function') {
+        bail(new Error(
+          "Wasn't expecting to have to go through secure"));
+        break;
+      }
+      try {
+        tunedOptions.response = creds.challenge(reply.fields.challenge);
+      }
+      catch (err) { bail(err); break; }
+      send(defs.ConnectionSecureOk);
+      // ... and round again, until the server has heard enough
+      wait(afterStartOk);
       break;
     case defs.ConnectionClose:
       bail(new Error(fmt("Handshake terminated by server: %s",
@@ -245,6 +298,7 @@ C.open = function(allFields, openCallback0) {
     // value is zero, meaning "no, no limits"
     self.channelMax = tunedOptions.channelMax || 0xffff;
     self.frameMax = tunedOptions.frameMax || 0xffffffff;
+    self.frameMaxNegotiated = true;
     // 0 means "no heartbeat", rather than "maximum period of
     // heartbeating"
     self.heartbeat = tunedOptions.heartbeat;
@@ -314,7 +368,8 @@ C.open = function(allFields, openCallback0) {
 // There are two signalling mechanisms used in the API. The first is
 // that calling `close` will return a promise, that will either
 // resolve once the connection or channel is cleanly shut down, or
-// will reject if the shutdown times out.
+// will reject if the shutdown times out (see `closeTimeout`, and
+// `forceClose` below).
 //
 // The second is the 'close' and 'error' events. These are
 // emitted as above. The events will fire *before* promises are
@@ -322,13 +377,14 @@ C.open = function(allFields, openCallback0) {
 
 // Close the connection without even giving a reason. Typical.
 C.close = function(closeCallback) {
-  var k = closeCallback && function() { closeCallback(null); };
+  var k = closeCallback && function(err) { closeCallback(err || null); };
   this.closeBecause("Cheers, thanks", constants.REPLY_SUCCESS, k);
 };
 
 // Close with a reason and a 'code'. I'm pretty sure RabbitMQ totally
 // ignores these; maybe it logs them. The continuation will be invoked
-// when the CloseOk has been received, and before the 'close' event.
+// when the CloseOk has been received, and before the 'close' event;
+// or, with an error, if it isn't received in time.
 C.closeBecause = function(reason, code, k) {
   this.sendMethod(0, defs.ConnectionClose, {
     replyText: reason,
@@ -344,6 +400,118 @@ C.closeWithError = function(reason, code, error) {
   this.closeBecause(reason, code);
 };
 
+// Give the server a new secret (e.g., a fresh OAuth2 token) for the
+// credentials the connection was opened with. RabbitMQ will close the
+// connection if it doesn't like the secret; otherwise, the
+// continuation is invoked once it's been accepted.
+C.updateSecret = function(newSecret, reason, k) {
+  this.sendMethod(0, defs.ConnectionUpdateSecret, {
+    newSecret: newSecret, reason: reason
+  });
+  this.secretUpdates.push(k || function() {});
+};
+
+// RabbitMQ, and other servers, advertise the extensions to AMQP 0-9-1
+// they support in the `capabilities` table of the server properties
+// (e.g., 'publisher_confirms', 'basic.nack').
+C.supports = function(capability) {
+  var caps = this.serverProperties && this.serverProperties.capabilities;
+  return !!(caps && caps[capability]);
+};
+
+// Fail early if an operation needs a capability the server doesn't
+// advertise, rather than have the server close the connection. A
+// server that sends no capabilities table at all may support the
+// operation or not, for all I can tell; so I let it go ahead, as I
+// would have before looking.
+C.requireCapability = function(capability, operation) {
+  var caps = this.serverProperties && this.serverProperties.capabilities;
+  if (caps && !caps[capability]) {
+    throw new Error(fmt("%s is not supported by the server (it does not " +
+                        "advertise the capability '%s')",
+                        operation, capability));
+  }
+};
+
+// RabbitMQ sends connection.blocked when it's running short of
+// resources (memory or disk), after which it will stop reading from
+// the socket of any connection that publishes, until it sends
+// connection.unblocked. Anything published meanwhile just piles up in
+// the channel buffers; so, publishing is subject to a policy, which
+// is one of:
+//
+//  - 'buffer' (the default): send the message anyway, and let it
+//    be buffered; but throw an error if more than
+//    `bufferLimit` messages have been published since being blocked
+//  - 'reject': throw an error
+//  - 'wait': hold the message until the connection is unblocked
+//
+// If `maxDuration` (milliseconds) is given, and the connection stays
+// blocked for longer than that, the messages waiting are rejected and
+// the connection emits an 'error' (but is otherwise left open); from
+// then until it's unblocked, messages that would wait are refused.
+
+C.toBlocked = function(reason) {
+  var self = this;
+  this.blocked = true;
+  this.blockedReason = reason;
+  var maxDuration = this.blockedPolicy.maxDuration;
+  if (maxDuration > 0 && this.blockedTimer === null) {
+    this.blockedTimer = setTimeout(function() {
+      self.blockedTimer = null;
+      var err = new Error(fmt('Connection blocked for more than %dms (%s)',
+                              maxDuration, reason));
+      err.closesConnection = false;
+      self.blockedTimeout = err;
+      self._eachChannel(function(ch) { ch.rejectBlocked(err); });
+      self.emit('error', err);
+    }, maxDuration);
+  }
+  this.emit('blocked', reason);
+};
+
+C.toUnblocked = function() {
+  this.blocked = false;
+  this.blockedReason = null;
+  this.blockedBuffered = 0;
+  this.blockedTimeout = null;
+  if (this.blockedTimer !== null) clearTimeout(this.blockedTimer);
+  this.blockedTimer = null;
+  this._eachChannel(function(ch) { ch.onUnblocked(); });
+  this.emit('unblocked');
+};
+
+// Decide what to do with a message published while blocked: returns
+// true if it's to be sent, false if it's to wait, or throws an error
+// if it's refused.
+C.blockedPublish = function(whenBlocked) {
+  var policy = whenBlocked || this.blockedPolicy.whenBlocked;
+  switch (policy) {
+  case 'buffer':
+    if (this.blockedBuffered >= this.blockedPolicy.bufferLimit) {
+      throw new Error(fmt('Connection blocked (%s), and %d messages ' +
+                          'already buffered', this.blockedReason,
+                          this.blockedBuffered));
+    }
+    this.blockedBuffered++;
+    return true;
+  case 'reject':
+    throw new Error(fmt('Connection blocked (%s)', this.blockedReason));
+  case 'wait':
+    return false;
+  default:
+    throw new TypeError(fmt('Unknown policy for publishing while ' +
+                            'blocked: %s', policy));
+  }
+};
+
+C._eachChannel = function(f) {
+  for (var i = 1; i < this.channels.length; i++) {
+    var ch = this.channels[i];
+    if (ch !== null) f(ch.channel);
+  }
+};
+
 C.onSocketError = function(err) {
   if (!this.expectSocketClose) {
     // forestall any more calls to onSocketError, since we're signed
@@ -363,7 +531,7 @@ function invalidOp(msg, stack) {
 
 function invalidateSend(conn, msg, stack) {
   conn.sendMethod = conn.sendContent = conn.sendMessage =
-    invalidOp(msg, stack);
+    conn.sendHeaders = invalidOp(msg, stack);
 }
 
 // A close has been initiated. Repeat: a close has been initiated.
@@ -384,20 +552,52 @@ C.toClosing = function(capturedStack, k) {
     // else ignore frame
   };
   invalidateSend(this, 'Connection closing', capturedStack);
+
+  if (this.closeTimeout > 0) {
+    var self = this, timeout = this.closeTimeout;
+    this.closeTimer = setTimeout(function() {
+      self.closeTimer = null;
+      var err = new CloseTimeoutError(
+        fmt('Connection close not acknowledged within %dms', timeout),
+        timeout);
+      if (k) k(err);
+      self.forceClose(err);
+    }, timeout);
+  }
+};
+
+// Make sure closing won't take longer than `ms` milliseconds (but
+// keep a shorter `closeTimeout` if there is one).
+C.limitCloseTimeout = function(ms) {
+  ms = Math.max(ms, 1);
+  if (this.closeTimeout === 0 || this.closeTimeout > ms)
+    this.closeTimeout = ms;
 };
 
-C._closeChannels = function(capturedStack) {
+// Give up on the server, and drop the connection without any further
+// ado. This is for when the server has stopped answering (e.g., it
+// hasn't acknowledged a close in time), so there's no point in trying
+// to close nicely.
+C.forceClose = function(err) {
+  var s = stackCapture('Connection forced closed: ' + err.message);
+  this.toClosed(s, err);
+  if (typeof this.stream.destroy === 'function') this.stream.destroy();
+};
+
+// `maybeErr`, if the connection closed because of an error, is
+// passed on to the channels, for anything they're left waiting on.
+C._closeChannels = function(capturedStack, maybeErr) {
   for (var i = 1; i < this.channels.length; i++) {
     var ch = this.channels[i];
     if (ch !== null) {
-      ch.channel.toClosed(capturedStack); // %%% or with an error? not clear
+      ch.channel.toConnectionClosed(capturedStack, maybeErr);
     }
   }
 };
 
 // A close has been confirmed. Cease all communication.
 C.toClosed = function(capturedStack, maybeErr) {
-  this._closeChannels(capturedStack);
+  this._closeChannels(capturedStack, maybeErr);
   var info = fmt('Connection closed (%s)',
                  (maybeErr) ? maybeErr.toString() : 'by client');
   // Tidy up, invalidate enverything, dynamite the bridges.
@@ -407,6 +607,13 @@ C.toClosed = function(capturedStack, maybeErr) {
     cb && cb(new IllegalOperationError(info, capturedStack));
   };
   if (this.heartbeater) this.heartbeater.clear();
+  if (this.blockedTimer !== null) clearTimeout(this.blockedTimer);
+  if (this.closeTimer !== null) clearTimeout(this.closeTimer);
+  var updates = this.secretUpdates;
+  this.secretUpdates = [];
+  updates.forEach(function(k) {
+    k(new IllegalOperationError(info, capturedStack));
+  });
   // This is certainly true now, if it wasn't before
   this.expectSocketClose = true;
   this.stream.end();
@@ -420,8 +627,12 @@ C.startHeartbeater = function() {
   else {
     var self = this;
     var hb = new Heart(this.heartbeat,
-                       this.checkSend.bind(this),
-                       this.checkRecv.bind(this));
+                       function() { return self.lastSend; },
+                       function() { return self.lastRecv; },
+                       {tolerance: this.heartbeatTolerance});
+    hb.on('heartbeat', function(info) {
+      self.emit('heartbeat', info);
+    });
     hb.on('timeout', function() {
       var hberr = new Error("Heartbeat timeout");
       self.emit('error', hberr);
@@ -501,20 +712,8 @@ C.step = function(cb) {
   recv();
 };
 
-C.checkSend = function() {
-  var check = this.sentSinceLastCheck;
-  this.sentSinceLastCheck = false;
-  return check;
-}
-
-C.checkRecv = function() {
-  var check = this.recvSinceLastCheck;
-  this.recvSinceLastCheck = false;
-  return check;
-}
-
 C.sendBytes = function(bytes) {
-  this.sentSinceLastCheck = true;
+  this.lastSend = now();
   this.stream.write(bytes);
 };
 
@@ -525,9 +724,27 @@ C.sendHeartbeat = function() {
 var encodeMethod = defs.encodeMethod;
 var encodeProperties = defs.encodeProperties;
 
+// Content can be split over as many body frames as it takes; but
+// method and header frames can't be split, so if one is bigger than
+// the server will accept, it can't be sent at all. Better to say so
+// here than to have the server close the connection. During the
+// opening handshake, there's no frame max yet (the minimum is used
+// only for reading), and what's sent then (e.g., a large token as
+// the response in connection.start-ok) is for the server to judge.
+function checkFrameSize(connection, frame) {
+  if (connection.frameMaxNegotiated && frame.length > connection.frameMax) {
+    throw new Error(fmt(
+      "Frame of %d bytes is bigger than the negotiated frame max " +
+        "(%d bytes); try smaller headers or arguments",
+      frame.length, connection.frameMax));
+  }
+}
+
 C.sendMethod = function(channel, Method, fields) {
   var frame = encodeMethod(Method, channel, fields);
-  this.sentSinceLastCheck = true;
+  checkFrameSize(this, frame);
+  trace.methodOut(this, channel, Method, fields, frame.length);
+  this.lastSend = now();
   var buffer = this.channels[channel].buffer;
   return buffer.write(frame);
 };
@@ -542,8 +759,13 @@ C.sendMessage = function(channel,
   var mframe = encodeMethod(Method, channel, fields);
   var pframe = encodeProperties(Properties, channel,
                                 content.length, props);
+  checkFrameSize(this, mframe);
+  checkFrameSize(this, pframe);
+  trace.methodOut(this, channel, Method, fields, mframe.length);
+  trace.headerOut(this, channel, Properties, props,
+                  content.length, pframe.length);
   var buffer = this.channels[channel].buffer;
-  this.sentSinceLastCheck = true;
+  this.lastSend = now();
 
   var methodHeaderLen = mframe.length + pframe.length;
   var bodyLen = (content.length > 0) ?
@@ -555,8 +777,10 @@ C.sendMessage = function(channel,
     var offset = mframe.copy(all, 0);
     offset += pframe.copy(all, offset);
 
-    if (bodyLen > 0)
+    if (bodyLen > 0) {
       makeBodyFrame(channel, content).copy(all, offset);
+      trace.bodyOut(this, channel, content.length);
+    }
     return buffer.write(all);
   }
   else {
@@ -574,6 +798,24 @@ C.sendMessage = function(channel,
   }
 };
 
+// Send the method and header frames of a message, the content of
+// which will follow (`size` bytes of it) with `sendContent`.
+C.sendHeaders = function(channel,
+                         Method, fields,
+                         Properties, props,
+                         size) {
+  var mframe = encodeMethod(Method, channel, fields);
+  var pframe = encodeProperties(Properties, channel, size, props);
+  checkFrameSize(this, mframe);
+  checkFrameSize(this, pframe);
+  trace.methodOut(this, channel, Method, fields, mframe.length);
+  trace.headerOut(this, channel, Properties, props, size, pframe.length);
+  var both = Buffer.alloc(mframe.length + pframe.length);
+  pframe.copy(both, mframe.copy(both, 0));
+  this.lastSend = now();
+  return this.channels[channel].buffer.write(both);
+};
+
 var FRAME_OVERHEAD = defs.FRAME_OVERHEAD;
 var makeBodyFrame = frame.makeBodyFrame;
 
@@ -590,34 +832,26 @@ C.sendContent = function(channel, body) {
     var end = offset + maxBody;
     var slice = (end > body.length) ? body.slice(offset) : body.slice(offset, end);
     var bodyFrame = makeBodyFrame(channel, slice);
+    trace.bodyOut(this, channel, slice.length);
     writeResult = buffer.write(bodyFrame);
   }
-  this.sentSinceLastCheck = true;
+  this.lastSend = now();
   return writeResult;
 };
 
-var parseFrame = frame.parseFrame;
 var decodeFrame = frame.decodeFrame;
 
 C.recvFrame = function() {
-  // %%% identifying invariants might help here?
-  var frame = parseFrame(this.rest, this.frameMax);
-
-  if (!frame) {
+  var f;
+  while (!(f = this.parser.parse(this.frameMax))) {
     var incoming = this.stream.read();
-    if (incoming === null) {
-      return false;
-    }
-    else {
-      this.recvSinceLastCheck = true;
-      this.rest = Buffer.concat([this.rest, incoming]);
-      return this.recvFrame();
-    }
-  }
-  else {
-    this.rest = frame.rest;
-    return decodeFrame(frame);
+    if (incoming === null) return false;
+    this.lastRecv = now();
+    this.parser.push(incoming);
   }
+  var decoded = decodeFrame(f, this.useBigInt, this.useDates);
+  trace.frameIn(this, decoded, f.size + FRAME_OVERHEAD);
+  return decoded;
 };
 
 function wrapStream(s) {
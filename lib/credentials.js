@@ -8,7 +8,25 @@
 //  * PLAIN (send username and password in the plain)
 //  * EXTERNAL (assume the server will figure out who you are from
 //    context, i.e., your SSL certificate)
+// and a couple of less useful ones, included here mainly as
+// examples:
+//  * AMQPLAIN (PLAIN, but encoded as a field table)
+//  * RABBIT-CR-DEMO (a challenge-response mechanism, for
+//    demonstration purposes)
+//
+// Credentials are an object with the name of the `mechanism`, and a
+// procedure `response()` which returns the initial response, as a
+// Buffer. A mechanism that needs more than one step also has a
+// procedure `challenge(challenge)`, which is given each challenge
+// the server sends (as a Buffer), and returns the response to it (as
+// a Buffer); it can throw an error to give up. The server decides
+// when it's satisfied, so there can be any number of challenges.
+//
+// Credentials can also have a procedure `refresh(callback)`, which
+// is called before connecting, and `scheduleRefresh(connection)`,
+// which is called once the connection is open; see `tokenProvider`.
 var Buffer = require('safe-buffer').Buffer
+var encodeTable = require('./codec').encodeTable;
 
 module.exports.plain = function(user, passwd) {
   return {
@@ -27,3 +45,101 @@ module.exports.external = function() {
     response: function() { return Buffer.from(''); }
   }
 }
+
+// The response is a field table, less the size that would usually
+// precede it.
+module.exports.amqplain = function(user, passwd) {
+  return {
+    mechanism: 'AMQPLAIN',
+    response: function() {
+      var buffer = Buffer.alloc(64 + Buffer.byteLength(user) +
+                                Buffer.byteLength(passwd));
+      var size = encodeTable(buffer, {LOGIN: user, PASSWORD: passwd}, 0);
+      return buffer.slice(4, size);
+    },
+    username: user,
+    password: passwd
+  }
+}
+
+// RabbitMQ's RABBIT-CR-DEMO: send the username, then when asked for
+// the password, say what it is. Not to be used for anything other
+// than testing, since it's no more secure than PLAIN.
+module.exports.rabbitCrDemo = function(user, passwd) {
+  return {
+    mechanism: 'RABBIT-CR-DEMO',
+    response: function() { return Buffer.from(user); },
+    challenge: function(challenge) {
+      return Buffer.from('My password is ' + passwd);
+    },
+    username: user,
+    password: passwd
+  }
+}
+
+// Credentials for a token, e.g., a JWT for RabbitMQ's OAuth2 auth
+// backend. `provider` is a procedure taking a node-style callback,
+// and supplying a fresh token (as a string) to it. Since tokens
+// expire, the token is fetched anew before connecting and then, if
+// `options.refreshInterval` (milliseconds) is given, on that schedule
+// for as long as the connection is open, and handed to the server
+// with `connection.update-secret`. Should that fail, the connection
+// emits an 'error', but is otherwise left as it is (it'll be closed
+// by the server if the token expires).
+module.exports.tokenProvider = function(provider, options) {
+  var user = (options && options.username) || '';
+  var interval = (options && options.refreshInterval) || 0;
+
+  var creds = {
+    mechanism: 'PLAIN',
+    username: user,
+    token: null,
+    response: function() {
+      return Buffer.from(['', user, creds.token].join(String.fromCharCode(0)));
+    },
+    refresh: function(cb) {
+      provider(function(err, token) {
+        if (err) return cb(err);
+        creds.token = token;
+        cb(null, token);
+      });
+    },
+    scheduleRefresh: function(connection) {
+      if (!(interval > 0)) return;
+      var timer = null, closed = false;
+
+      function failed(err) {
+        if (closed) return;
+        var e = new Error('Failed to refresh token: ' + err.message);
+        e.cause = err;
+        // the connection stays open, which e.g., recovery wants to know
+        e.closesConnection = false;
+        connection.emit('error', e);
+      }
+
+      function tick() {
+        creds.refresh(function(err, token) {
+          if (closed) return;
+          if (err) failed(err);
+          else {
+            try {
+              connection.updateSecret(Buffer.from(token), 'Token refreshed',
+                                      function(err) {
+                                        if (err) failed(err);
+                                      });
+            }
+            catch (e) { failed(e); }
+          }
+          if (!closed) timer = setTimeout(tick, interval);
+        });
+      }
+
+      connection.once('close', function() {
+        closed = true;
+        if (timer) clearTimeout(timer);
+      });
+      timer = setTimeout(tick, interval);
+    }
+  };
+  return creds;
+}
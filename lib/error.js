@@ -14,6 +14,44 @@ inherits(IllegalOperationError, Error);
 
 IllegalOperationError.prototype.name = 'IllegalOperationError';
 
+// The server didn't acknowledge a close (of a connection or channel)
+// within `timeout` milliseconds, so it was given up on.
+function CloseTimeoutError(msg, timeout) {
+  var tmp = new Error();
+  this.message = msg;
+  this.timeout = timeout;
+  this.stack = this.toString() + '\n' + trimStack(tmp.stack, 2);
+}
+inherits(CloseTimeoutError, Error);
+
+CloseTimeoutError.prototype.name = 'CloseTimeoutError';
+
+// The server neither acked nor nacked a published message within
+// `timeout` milliseconds.
+function ConfirmTimeoutError(msg, timeout) {
+  var tmp = new Error();
+  this.message = msg;
+  this.timeout = timeout;
+  this.stack = this.toString() + '\n' + trimStack(tmp.stack, 2);
+}
+inherits(ConfirmTimeoutError, Error);
+
+ConfirmTimeoutError.prototype.name = 'ConfirmTimeoutError';
+
+// The client sent something other than what was recorded, while a
+// session was being replayed (see ./session). `expected` is the
+// recorded frame, if there was one, and `actual` the frame received.
+function ReplayDivergenceError(msg, expected, actual) {
+  var tmp = new Error();
+  this.message = msg;
+  this.expected = expected;
+  this.actual = actual;
+  this.stack = this.toString() + '\n' + trimStack(tmp.stack, 2);
+}
+inherits(ReplayDivergenceError, Error);
+
+ReplayDivergenceError.prototype.name = 'ReplayDivergenceError';
+
 function stackCapture(reason) {
   var e = new Error();
   return 'Stack capture: ' + reason + '\n' +
@@ -21,4 +59,7 @@ function stackCapture(reason) {
 }
 
 module.exports.IllegalOperationError = IllegalOperationError;
+module.exports.CloseTimeoutError = CloseTimeoutError;
+module.exports.ConfirmTimeoutError = ConfirmTimeoutError;
+module.exports.ReplayDivergenceError = ReplayDivergenceError;
 module.exports.stackCapture = stackCapture;
@@ -22,6 +22,12 @@ module.exports.methodName = function(id) {
   return defs.info(id).name;
 };
 
+// JSON can't represent BigInt values (e.g., from a connection with
+// `useBigInt`), so show them as strings
+function replaceBigInt(_key, value) {
+  return (typeof value === 'bigint') ? value.toString() : value;
+}
+
 module.exports.inspect = function(frame, showFields) {
   if (frame === HEARTBEAT) {
     return '<Heartbeat>';
@@ -34,7 +40,7 @@ module.exports.inspect = function(frame, showFields) {
     var info = defs.info(frame.id);
     return format('<%s channel:%d%s>', info.name, frame.channel,
                   (showFields)
-                  ? ' ' + JSON.stringify(frame.fields, undefined, 2)
+                  ? ' ' + JSON.stringify(frame.fields, replaceBigInt, 2)
                   : '');
   }
 }
@@ -9,8 +9,6 @@ var constants = defs.constants;
 var decode = defs.decode;
 var Buffer = require('safe-buffer').Buffer
 
-var Bits = require('bitsyntax');
-
 module.exports.PROTOCOL_HEADER = "AMQP" + String.fromCharCode(0, 0, 9, 1);
 
 /*
@@ -34,68 +32,154 @@ FRAME_HEADER = constants.FRAME_HEADER,
 FRAME_BODY = constants.FRAME_BODY,
 FRAME_END = constants.FRAME_END;
 
-var bodyCons =
-  Bits.builder(FRAME_BODY,
-               'channel:16, size:32, payload:size/binary',
-               FRAME_END);
+var FRAME_HEADER_SIZE = 7;
+// header and frame-end
+var FRAME_OVERHEAD = FRAME_HEADER_SIZE + 1;
+
+function makeFrame(type, channel, payload) {
+  var size = payload.length;
+  var frame = Buffer.allocUnsafe(size + FRAME_OVERHEAD);
+  frame[0] = type;
+  frame.writeUInt16BE(channel, 1);
+  frame.writeUInt32BE(size, 3);
+  payload.copy(frame, FRAME_HEADER_SIZE);
+  frame[size + FRAME_HEADER_SIZE] = FRAME_END;
+  return frame;
+}
+
+// A frame of any type, around a payload already encoded
+module.exports.makeFrame = makeFrame;
 
-// %%% TESTME possibly better to cons the first bit and write the
-// second directly, in the absence of IO lists
 module.exports.makeBodyFrame = function(channel, payload) {
-  return bodyCons({channel: channel, size: payload.length, payload: payload});
+  return makeFrame(FRAME_BODY, channel, payload);
 };
 
-var frameHeaderPattern = Bits.matcher('type:8', 'channel:16',
-                                      'size:32', 'rest/binary');
+// Parses frames incrementally from the chunks read from a socket.
+// Rather than concatenating each chunk onto whatever was left over
+// (which, with large frames arriving in many small chunks, means
+// copying the same bytes over and over), I keep the chunks in a list
+// and only look at them once there's a whole frame. A payload that's
+// all in one chunk is sliced out of it, without copying; one that
+// straddles chunks is copied, once, into a buffer of its own.
+function FrameParser() {
+  this.chunks = [];
+  // where I'm up to in the first chunk
+  this.offset = 0;
+  // bytes unparsed, over all chunks
+  this.length = 0;
+}
 
-function parseFrame(bin, max) {
-  var fh = frameHeaderPattern(bin);
-  if (fh) {
-    var size = fh.size, rest = fh.rest;
-    if (size > max) {
-      throw new Error('Frame size exceeds frame max');
-    }
-    else if (rest.length > size) {
-      if (rest[size] !== FRAME_END)
-        throw new Error('Invalid frame');
-
-      return {
-        type: fh.type,
-        channel: fh.channel,
-        size: size,
-        payload: rest.slice(0, size),
-        rest: rest.slice(size + 1)
-      };
-    }
+module.exports.FrameParser = FrameParser;
+
+var FP = FrameParser.prototype;
+
+FP.push = function(chunk) {
+  if (chunk.length === 0) return;
+  this.chunks.push(chunk);
+  this.length += chunk.length;
+};
+
+// Return the next frame, as {type, channel, size, payload}, or false
+// if there isn't a whole one yet. Throws if the frame is bad or bigger
+// than `max`.
+FP.parse = function(max) {
+  if (this.length < FRAME_HEADER_SIZE) return false;
+  var header = this.peek(FRAME_HEADER_SIZE);
+  var size = header.readUInt32BE(3);
+  if (size > max) {
+    throw new Error('Frame size exceeds frame max');
   }
-  return false;
-}
+  if (this.length < size + FRAME_OVERHEAD) return false;
+
+  var type = header[0], channel = header.readUInt16BE(1);
+  this.skip(FRAME_HEADER_SIZE);
+  var payload = this.take(size);
+  if (this.take(1)[0] !== FRAME_END)
+    throw new Error('Invalid frame');
+  return {
+    type: type,
+    channel: channel,
+    size: size,
+    payload: payload
+  };
+};
+
+// The next `n` bytes, without consuming them
+FP.peek = function(n) {
+  var first = this.chunks[0];
+  if (first.length - this.offset >= n)
+    return first.slice(this.offset, this.offset + n);
+  return this.gather(n, false);
+};
 
-module.exports.parseFrame = parseFrame;
+// The next `n` bytes, consumed
+FP.take = function(n) {
+  var first = this.chunks[0];
+  var start = this.offset, available = first.length - start;
+  if (available < n) return this.gather(n, true);
+  var bytes = first.slice(start, start + n);
+  if (available === n) {
+    this.chunks.shift();
+    this.offset = 0;
+  }
+  else this.offset += n;
+  this.length -= n;
+  return bytes;
+};
 
-var headerPattern = Bits.matcher('class:16',
-                                 '_weight:16',
-                                 'size:64',
-                                 'flagsAndfields/binary');
+FP.skip = function(n) {
+  while (n > 0) {
+    var available = this.chunks[0].length - this.offset;
+    if (available > n) {
+      this.offset += n;
+      this.length -= n;
+      return;
+    }
+    this.chunks.shift();
+    this.offset = 0;
+    this.length -= available;
+    n -= available;
+  }
+};
 
-var methodPattern = Bits.matcher('id:32, args/binary');
+// Copy the next `n` bytes, which span chunks, into a fresh buffer;
+// and consume them if `consume` is true
+FP.gather = function(n, consume) {
+  var out = Buffer.allocUnsafe(n);
+  var copied = 0, i = 0, offset = this.offset;
+  while (copied < n) {
+    var chunk = this.chunks[i++];
+    var len = Math.min(chunk.length - offset, n - copied);
+    chunk.copy(out, copied, offset, offset + len);
+    copied += len;
+    offset = 0;
+  }
+  if (consume) this.skip(n);
+  return out;
+};
 
 var HEARTBEAT = {channel: 0};
 
-module.exports.decodeFrame = function(frame) {
+// Method payload: id (long, class and method), then the arguments.
+// Header payload: class (short), weight (short, unused), body size
+// (long long), then the property flags and fields. With `bigint`
+// true, 64-bit integers in the arguments and properties are decoded
+// as BigInt values (but the body size is always a number); with
+// `dates` true, timestamps are decoded as Date values.
+module.exports.decodeFrame = function(frame, bigint, dates) {
   var payload = frame.payload;
   switch (frame.type) {
   case FRAME_METHOD:
-    var idAndArgs = methodPattern(payload);
-    var id = idAndArgs.id;
-    var fields = decode(id, idAndArgs.args);
+    var id = payload.readUInt32BE(0);
+    var fields = decode(id, payload.slice(4), bigint, dates);
     return {id: id, channel: frame.channel, fields: fields};
   case FRAME_HEADER:
-    var parts = headerPattern(payload);
-    var id = parts['class'];
-    var fields = decode(id, parts.flagsAndfields);
+    var id = payload.readUInt16BE(0);
+    var size = payload.readUInt32BE(4) * 0x100000000 +
+      payload.readUInt32BE(8);
+    var fields = decode(id, payload.slice(12), bigint, dates);
     return {id: id, channel: frame.channel,
-            size: parts.size, fields: fields};
+            size: size, fields: fields};
   case FRAME_BODY:
     return {channel: frame.channel, content: frame.payload};
   case FRAME_HEARTBEAT:
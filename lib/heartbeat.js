@@ -12,7 +12,8 @@
 // frame if it's not sent any frames for a while, so that the server
 // doesn't think it's dead; the second is to check periodically that
 // it's seen activity from the server, and to advise if there doesn't
-// appear to have been any for over two intervals.
+// appear to have been any for too long (by default, two intervals;
+// this can be changed with the `tolerance` option).
 //
 // Node.JS timers are a bit unreliable, in that they endeavour only to
 // fire at some indeterminate point *after* the given time (rather
@@ -20,31 +21,34 @@
 // an event loop, it's quite easy to delay timers indefinitely by
 // reacting to some I/O with a lot of computation.
 //
-// To mitigate this I need a bit of creative interpretation:
+// So rather than counting timer ticks, I record when frames were last
+// sent and received, using a monotonic clock (`process.hrtime`, which
+// won't jump about if the system clock is adjusted), and every
+// `interval / 2` I look at how long it's been:
 //
-//  - I'll schedule a server activity check for every `interval`, and
-//    check just how much time has passed. It will overshoot by at
-//    least a small margin; modulo missing timer deadlines, it'll
-//    notice between two and three intervals after activity actually
-//    stops (otherwise, at some point after two intervals).
+//  - If nothing's been sent for `interval / 2`, I send a heartbeat
+//    frame. Why `interval / 2`? Because the edge case is that the
+//    client sent a frame just after a check, which would mean I only
+//    send one after almost a whole interval.
 //
-//  - Every `interval / 2` I'll check that we've sent something since
-//    the last check, and if not, send a heartbeat frame. If we're
-//    really too busy to even run the check for two whole heartbeat
-//    intervals, there must be a lot of I (but not O, at least not on
-//    the connection), or computation, in which case perhaps it's best
-//    the server cuts us off anyway. Why `interval / 2`? Because the
-//    edge case is that the client sent a frame just after a
-//    heartbeat, which would mean I only send one after almost two
-//    intervals. (NB a heartbeat counts as a send, so it'll be checked
-//    at least twice before sending another)
+//  - If nothing's been received for `tolerance` intervals, the server
+//    is presumed dead.
+//
+// If the check itself runs much later than it should have, the event
+// loop has been stalled (e.g., by a long computation), and anything
+// the server sent in the meantime may be sitting unread in the socket
+// buffer. In that case I leave judging the server to the next check,
+// by which time any such frames will have been read. Otherwise a busy
+// client would blame a perfectly good server.
+//
+// Every check emits 'heartbeat', with how long it's been since a
+// frame was received and sent (so it's possible to see how close
+// things are getting to a timeout), and how long the event loop was
+// stalled, if it was.
 //
 // This design is based largely on RabbitMQ's heartbeating:
 // https://github.com/rabbitmq/rabbitmq-common/blob/master/src/rabbit_heartbeat.erl
 
-// %% Yes, I could apply the same 'actually passage of time' thing to
-// %% send as well as to recv.
-
 'use strict';
 
 var inherits = require('util').inherits;
@@ -53,37 +57,53 @@ var EventEmitter = require('events').EventEmitter;
 // Exported so that we can mess with it in tests
 module.exports.UNITS_TO_MS = 1000;
 
-function Heart(interval, checkSend, checkRecv) {
+module.exports.DEFAULT_TOLERANCE = 2;
+
+// Monotonic time in milliseconds
+function now() {
+  var t = process.hrtime();
+  return t[0] * 1e3 + t[1] / 1e6;
+}
+module.exports.now = now;
+
+// `lastSend` and `lastRecv` give the time (as from `now`) a frame
+// was last sent or received.
+function Heart(interval, lastSend, lastRecv, options) {
   EventEmitter.call(this);
   this.interval = interval;
+  this.tolerance = (options && options.tolerance) ||
+    module.exports.DEFAULT_TOLERANCE;
 
   var intervalMs = interval * module.exports.UNITS_TO_MS;
-  // Function#bind is my new best friend
-  var beat = this.emit.bind(this, 'beat');
-  var timeout = this.emit.bind(this, 'timeout');
-
-  this.sendTimer = setInterval(
-    this.runHeartbeat.bind(this, checkSend, beat), intervalMs / 2);
-
-  // A timeout occurs if I see nothing for *two consecutive* intervals
-  var recvMissed = 0;
-  function missedTwo() {
-    if (!checkRecv()) return (++recvMissed < 2);
-    else { recvMissed = 0; return true; }
-  }
-  this.recvTimer = setInterval(
-    this.runHeartbeat.bind(this, missedTwo, timeout), intervalMs);
+  this.checkMs = intervalMs / 2;
+  this.timeoutMs = intervalMs * this.tolerance;
+  this.lastSend = lastSend;
+  this.lastRecv = lastRecv;
+  this.lastCheck = now();
+  this.timer = setInterval(this.check.bind(this), this.checkMs);
 }
 inherits(Heart, EventEmitter);
 
 module.exports.Heart = Heart;
 
 Heart.prototype.clear = function() {
-  clearInterval(this.sendTimer);
-  clearInterval(this.recvTimer);
+  clearInterval(this.timer);
 };
 
-Heart.prototype.runHeartbeat = function(check, fail) {
-  // Have we seen activity?
-  if (!check()) fail();
+Heart.prototype.check = function() {
+  var t = now();
+  var late = t - this.lastCheck - this.checkMs;
+  this.lastCheck = t;
+
+  // Allow a whole check's worth of lateness before deciding the loop
+  // was stalled, since timers are always a bit late
+  var stalled = (late > this.checkMs) ? late : 0;
+  var sinceSend = t - this.lastSend();
+  var sinceRecv = t - this.lastRecv();
+  this.emit('heartbeat', {
+    sinceRecv: sinceRecv, sinceSend: sinceSend,
+    timeout: this.timeoutMs, stalled: stalled
+  });
+  if (sinceSend >= this.checkMs) this.emit('beat');
+  if (!stalled && sinceRecv > this.timeoutMs) this.emit('timeout');
 };
@@ -0,0 +1,564 @@
+//
+//
+//
+
+// An in-memory broker, for running applications without a RabbitMQ
+
+'use strict';
+
+/*
+The broker keeps vhosts, exchanges, queues and bindings in memory, and
+speaks enough AMQP 0-9-1 (see ./mock_connection) for the client in
+this library to use it as it would a RabbitMQ. It's reached through
+`connect` with a URL using the protocol `amqp+mock:`; the hostname
+names the broker, e.g., `amqp+mock://test/vhost`, and a broker is
+made for each name the first time it's used.
+
+It has direct, fanout, topic and headers exchanges (and the usual
+`amq.*` ones), exchange-to-exchange bindings, queues with acks and
+requeueing, per-consumer and per-channel prefetch, publisher
+confirms, mandatory returns and `basic.get`. It doesn't have
+persistence (nothing survives the broker), transactions, message TTLs,
+queue length limits, or dead-lettering.
+*/
+
+var crypto = require('crypto');
+var fmt = require('util').format;
+var constants = require('./defs').constants;
+var constant_strs = require('./defs').constant_strs;
+var socketPair = require('./socket_pair').socketPair;
+var Buffer = require('safe-buffer').Buffer;
+
+var schedule = (typeof setImmediate === 'function') ?
+  setImmediate : process.nextTick;
+
+// Something a client did wrong; `code` is a reply code, which says
+// whether the channel or the whole connection is closed.
+function BrokerError(code, message) {
+  this.code = code;
+  this.message = message;
+}
+
+var HARD_ERRORS = [
+  constants.CONNECTION_FORCED, constants.INVALID_PATH,
+  constants.FRAME_ERROR, constants.SYNTAX_ERROR,
+  constants.COMMAND_INVALID, constants.CHANNEL_ERROR,
+  constants.UNEXPECTED_FRAME, constants.RESOURCE_ERROR,
+  constants.NOT_ALLOWED, constants.NOT_IMPLEMENTED,
+  constants.INTERNAL_ERROR
+];
+
+BrokerError.prototype.isHard = function() {
+  return HARD_ERRORS.indexOf(this.code) > -1;
+};
+
+// The message is formatted from the rest of the arguments, and
+// prefixed with the name of the code, as RabbitMQ does
+function brokerError(code /* , format, args... */) {
+  var args = Array.prototype.slice.call(arguments, 1);
+  return new BrokerError(code, fmt('%s - %s', constant_strs[code],
+                                   fmt.apply(null, args)));
+}
+
+function generateName(prefix) {
+  return prefix + crypto.randomBytes(16).toString('base64')
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// ======== Routing
+
+// Does the routing key match the binding pattern, with `*` matching
+// exactly one word and `#` zero or more
+function topicMatch(pattern, key) {
+  var p = pattern.split('.'), k = key.split('.');
+  function match(i, j) {
+    if (i === p.length) return j === k.length;
+    if (p[i] === '#') {
+      for (var n = j; n <= k.length; n++) {
+        if (match(i + 1, n)) return true;
+      }
+      return false;
+    }
+    if (j === k.length) return false;
+    return (p[i] === '*' || p[i] === k[j]) && match(i + 1, j + 1);
+  }
+  return match(0, 0);
+}
+
+function sameValue(a, b) {
+  if (Buffer.isBuffer(a) && Buffer.isBuffer(b)) return a.equals(b);
+  if (a && b && typeof a === 'object' && typeof b === 'object')
+    return JSON.stringify(a) === JSON.stringify(b);
+  return a === b;
+}
+
+// The binding arguments of a headers exchange give the headers to
+// match; `x-match` says whether `all` (the default) or `any` of them
+// must be present with the same values. Arguments starting with `x-`
+// aren't headers to match.
+function headersMatch(args, headers) {
+  args = args || {};
+  headers = headers || {};
+  var any = args['x-match'] === 'any';
+  var keys = Object.keys(args).filter(function(k) {
+    return k.substr(0, 2) !== 'x-';
+  });
+  if (keys.length === 0) return !any;
+  var matches = keys.filter(function(k) {
+    return headers.hasOwnProperty(k) &&
+      (args[k] === undefined || args[k] === null ||
+       sameValue(args[k], headers[k]));
+  });
+  return (any) ? matches.length > 0 : matches.length === keys.length;
+}
+
+function Exchange(name, type, options) {
+  this.name = name;
+  this.type = type;
+  this.durable = !!options.durable;
+  this.autoDelete = !!options.autoDelete;
+  this.internal = !!options.internal;
+  this.arguments = options.arguments || {};
+  // {destination, isExchange, routingKey, arguments}
+  this.bindings = [];
+}
+
+var EXCHANGE_TYPES = ['direct', 'fanout', 'topic', 'headers'];
+
+Exchange.prototype.matches = function(binding, routingKey, headers) {
+  switch (this.type) {
+  case 'direct': return binding.routingKey === routingKey;
+  case 'fanout': return true;
+  case 'topic': return topicMatch(binding.routingKey, routingKey);
+  case 'headers': return headersMatch(binding.arguments, headers);
+  }
+  return false;
+};
+
+// ======== Queues
+
+function Queue(vhost, name, options, owner) {
+  this.vhost = vhost;
+  this.name = name;
+  this.durable = !!options.durable;
+  this.exclusive = !!options.exclusive;
+  this.autoDelete = !!options.autoDelete;
+  this.arguments = options.arguments || {};
+  // the connection that declared an exclusive queue
+  this.owner = (this.exclusive) ? owner : null;
+  // ready messages, in the order they'll be delivered
+  this.messages = [];
+  this.consumers = [];
+  this.hadConsumers = false;
+  this.deleted = false;
+  this.dispatching = false;
+}
+
+var Q = Queue.prototype;
+
+Q.enqueue = function(message) {
+  this.messages.push(message);
+  this.dispatch();
+};
+
+// Put messages back at the head of the queue, marked as redelivered
+Q.requeue = function(messages) {
+  if (this.deleted) return;
+  var again = messages.map(function(m) {
+    return copyMessage(m, true);
+  });
+  this.messages = again.concat(this.messages);
+  this.dispatch();
+};
+
+Q.addConsumer = function(consumer) {
+  this.consumers.push(consumer);
+  this.hadConsumers = true;
+  this.dispatch();
+};
+
+Q.removeConsumer = function(consumer) {
+  var i = this.consumers.indexOf(consumer);
+  if (i > -1) this.consumers.splice(i, 1);
+  if (this.autoDelete && this.hadConsumers &&
+      this.consumers.length === 0)
+    this.vhost.deleteQueue(this.name);
+};
+
+// Give ready messages to consumers able to take them, in turn
+Q.dispatch = function() {
+  // Delivering can lead to more dispatching (e.g., if a consumer's
+  // channel is closed), which would see the same messages
+  if (this.dispatching) return;
+  this.dispatching = true;
+  try {
+    var consumers = this.consumers;
+    while (this.messages.length > 0 && consumers.length > 0) {
+      var found = -1;
+      for (var i = 0; i < consumers.length; i++) {
+        if (consumers[i].channel.canDeliver(consumers[i])) {
+          found = i;
+          break;
+        }
+      }
+      if (found < 0) break;
+      var consumer = consumers[found];
+      // round-robin: the consumer goes to the back of the line
+      consumers.splice(found, 1);
+      consumers.push(consumer);
+      consumer.channel.deliver(consumer, this.messages.shift());
+    }
+  }
+  finally {
+    this.dispatching = false;
+  }
+};
+
+function copyMessage(message, redelivered) {
+  return {
+    exchange: message.exchange,
+    routingKey: message.routingKey,
+    properties: message.properties,
+    header: message.header,
+    content: message.content,
+    redelivered: !!redelivered
+  };
+}
+
+// ======== Virtual hosts
+
+var DEFAULT_EXCHANGES = {
+  '': 'direct',
+  'amq.direct': 'direct',
+  'amq.fanout': 'fanout',
+  'amq.topic': 'topic',
+  'amq.headers': 'headers',
+  'amq.match': 'headers'
+};
+
+function VHost(name) {
+  this.name = name;
+  this.exchanges = {};
+  this.queues = {};
+  for (var ex in DEFAULT_EXCHANGES) {
+    this.exchanges[ex] = new Exchange(ex, DEFAULT_EXCHANGES[ex],
+                                      {durable: true});
+  }
+}
+
+var V = VHost.prototype;
+
+V.exchange = function(name) {
+  var ex = this.exchanges[name];
+  if (!ex) throw brokerError(constants.NOT_FOUND,
+                             "no exchange '%s' in vhost '%s'",
+                             name, this.name);
+  return ex;
+};
+
+V.queue = function(name, connection) {
+  var q = this.queues[name];
+  if (!q) throw brokerError(constants.NOT_FOUND,
+                            "no queue '%s' in vhost '%s'",
+                            name, this.name);
+  if (q.owner && connection && q.owner !== connection)
+    throw brokerError(constants.RESOURCE_LOCKED,
+                      "cannot obtain exclusive access to locked " +
+                      "queue '%s' in vhost '%s'", name, this.name);
+  return q;
+};
+
+function checkEquivalent(kind, name, vhost, existing, wanted, props) {
+  props.forEach(function(p) {
+    if (!!existing[p] !== !!wanted[p])
+      throw brokerError(constants.PRECONDITION_FAILED,
+                        "inequivalent arg '%s' for %s '%s' in vhost " +
+                        "'%s': received '%s' but current is '%s'",
+                        p, kind, name, vhost, !!wanted[p], !!existing[p]);
+  });
+}
+
+V.declareExchange = function(name, type, options) {
+  var ex = this.exchanges[name];
+  if (options.passive) return this.exchange(name);
+  if (ex) {
+    if (ex.type !== type)
+      throw brokerError(constants.PRECONDITION_FAILED,
+                        "inequivalent arg 'type' for exchange '%s' in " +
+                        "vhost '%s': received '%s' but current is '%s'",
+                        name, this.name, type, ex.type);
+    checkEquivalent('exchange', name, this.name, ex, options,
+                    ['durable', 'autoDelete', 'internal']);
+    return ex;
+  }
+  if (name.substr(0, 4) === 'amq.')
+    throw brokerError(constants.ACCESS_REFUSED,
+                      "exchange name '%s' contains reserved prefix " +
+                      "'amq.*'", name);
+  if (EXCHANGE_TYPES.indexOf(type) < 0)
+    throw brokerError(constants.COMMAND_INVALID,
+                      "unknown exchange type '%s'", type);
+  return this.exchanges[name] = new Exchange(name, type, options);
+};
+
+V.deleteExchange = function(name, ifUnused) {
+  var ex = this.exchanges[name];
+  if (!ex) return;
+  if (name === '' || name.substr(0, 4) === 'amq.')
+    throw brokerError(constants.ACCESS_REFUSED,
+                      "operation not permitted on the default exchange");
+  if (ifUnused && ex.bindings.length > 0)
+    throw brokerError(constants.PRECONDITION_FAILED,
+                      "exchange '%s' in vhost '%s' in use",
+                      name, this.name);
+  delete this.exchanges[name];
+  this.removeBindingsTo(name, true);
+};
+
+V.declareQueue = function(name, options, connection) {
+  if (options.passive) return this.queue(name, connection);
+  var q = this.queues[name];
+  if (q) {
+    this.queue(name, connection); // check it's not locked
+    checkEquivalent('queue', name, this.name, q, options,
+                    ['durable', 'exclusive', 'autoDelete']);
+    return q;
+  }
+  if (name === '') name = generateName('amq.gen-');
+  else if (name.substr(0, 4) === 'amq.')
+    throw brokerError(constants.ACCESS_REFUSED,
+                      "queue name '%s' contains reserved prefix " +
+                      "'amq.*'", name);
+  return this.queues[name] = new Queue(this, name, options, connection);
+};
+
+// Remove the queue, and any bindings to it; its consumers are told
+// they've been cancelled. Returns the number of messages it had.
+V.deleteQueue = function(name) {
+  var q = this.queues[name];
+  if (!q) return 0;
+  delete this.queues[name];
+  q.deleted = true;
+  var count = q.messages.length;
+  q.messages = [];
+  this.removeBindingsTo(name, false);
+  q.consumers.slice().forEach(function(consumer) {
+    consumer.channel.cancelConsumer(consumer);
+  });
+  q.consumers = [];
+  return count;
+};
+
+V.bind = function(destination, isExchange, source, routingKey, args) {
+  var ex = this.exchange(source);
+  if (source === '')
+    throw brokerError(constants.ACCESS_REFUSED,
+                      "operation not permitted on the default exchange");
+  var exists = ex.bindings.some(function(b) {
+    return b.destination === destination && b.isExchange === isExchange &&
+      b.routingKey === routingKey && sameValue(b.arguments, args);
+  });
+  if (!exists) ex.bindings.push({
+    destination: destination, isExchange: isExchange,
+    routingKey: routingKey, arguments: args
+  });
+};
+
+V.unbind = function(destination, isExchange, source, routingKey, args) {
+  var ex = this.exchanges[source];
+  if (!ex) return;
+  ex.bindings = ex.bindings.filter(function(b) {
+    return !(b.destination === destination &&
+             b.isExchange === isExchange &&
+             b.routingKey === routingKey &&
+             sameValue(b.arguments, args));
+  });
+  this.autoDeleteExchange(ex);
+};
+
+V.removeBindingsTo = function(destination, isExchange) {
+  for (var name in this.exchanges) {
+    var ex = this.exchanges[name];
+    var before = ex.bindings.length;
+    ex.bindings = ex.bindings.filter(function(b) {
+      return !(b.destination === destination && b.isExchange === isExchange);
+    });
+    if (ex.bindings.length < before) this.autoDeleteExchange(ex);
+  }
+};
+
+// An auto-delete exchange goes once it has no bindings left
+V.autoDeleteExchange = function(ex) {
+  if (ex.autoDelete && ex.bindings.length === 0 &&
+      this.exchanges[ex.name] === ex) {
+    delete this.exchanges[ex.name];
+    this.removeBindingsTo(ex.name, true);
+  }
+};
+
+// The queues a message published to the exchange `ex` ends up in,
+// following exchange-to-exchange bindings (and not going round in
+// circles)
+V.route = function(ex, routingKeys, headers) {
+  var self = this;
+  var queues = [], seen = {};
+  function routeFrom(ex) {
+    if (seen[ex.name]) return;
+    seen[ex.name] = true;
+    if (ex.name === '') {
+      routingKeys.forEach(function(key) {
+        var q = self.queues[key];
+        if (q && queues.indexOf(q) < 0) queues.push(q);
+      });
+      return;
+    }
+    ex.bindings.forEach(function(b) {
+      var matches = routingKeys.some(function(key) {
+        return ex.matches(b, key, headers);
+      });
+      if (!matches) return;
+      if (b.isExchange) {
+        var dest = self.exchanges[b.destination];
+        if (dest) routeFrom(dest);
+      }
+      else {
+        var q = self.queues[b.destination];
+        if (q && queues.indexOf(q) < 0) queues.push(q);
+      }
+    });
+  }
+  routeFrom(ex);
+  return queues;
+};
+
+// ======== The broker
+
+function Broker(name) {
+  this.name = name || '';
+  this.vhosts = {};
+  this.connections = [];
+  this.blockedReason = null;
+
+  var self = this;
+  // For giving to `connect` as the socket option `socketFactory`,
+  // e.g., to use a broker that isn't registered by name
+  this.socketFactory = function(_options, onConnect) {
+    var socket = self.connect();
+    schedule(onConnect);
+    return socket;
+  };
+}
+
+var B = Broker.prototype;
+
+// Vhosts are made when they're first used
+B.vhost = function(name) {
+  return this.vhosts[name] || (this.vhosts[name] = new VHost(name));
+};
+
+// Make a socket for a client to connect with
+B.connect = function() {
+  // required here, since the protocol module needs this one
+  var ServerConnection = require('./mock_connection').ServerConnection;
+  var pair = socketPair();
+  this.connections.push(new ServerConnection(this, pair.server));
+  return pair.client;
+};
+
+B.removeConnection = function(connection) {
+  var i = this.connections.indexOf(connection);
+  if (i > -1) this.connections.splice(i, 1);
+};
+
+// Tell clients the broker is blocking publishers (e.g., as RabbitMQ
+// does when low on memory); it doesn't actually stop accepting
+// messages.
+B.block = function(reason) {
+  reason = this.blockedReason = reason || 'low on memory';
+  this.connections.forEach(function(c) { c.block(reason); });
+};
+
+B.unblock = function() {
+  this.blockedReason = null;
+  this.connections.forEach(function(c) { c.unblock(); });
+};
+
+// Close all client connections, as though the broker were shutting
+// down; everything else stays as it was.
+B.closeConnections = function(reason) {
+  reason = reason || 'shutdown';
+  this.connections.slice().forEach(function(c) {
+    c.closeWithError(brokerError(
+      constants.CONNECTION_FORCED,
+      "broker forced connection closure with reason '%s'", reason));
+  });
+};
+
+// A snapshot of a queue, for looking at in tests; `undefined` if
+// there's no such queue.
+B.queue = function(name, vhost) {
+  var v = this.vhosts[vhost || '/'];
+  var q = v && v.queues[name];
+  if (!q) return undefined;
+  return {
+    name: q.name,
+    messageCount: q.messages.length,
+    consumerCount: q.consumers.length,
+    messages: q.messages.map(function(m) {
+      return {
+        exchange: m.exchange,
+        routingKey: m.routingKey,
+        properties: m.properties,
+        content: m.content,
+        redelivered: m.redelivered
+      };
+    })
+  };
+};
+
+// Likewise, a snapshot of an exchange
+B.exchange = function(name, vhost) {
+  var v = this.vhosts[vhost || '/'];
+  var ex = v && v.exchanges[name];
+  if (!ex) return undefined;
+  return {
+    name: ex.name,
+    type: ex.type,
+    bindings: ex.bindings.map(function(b) {
+      return {
+        destination: b.destination,
+        destinationType: (b.isExchange) ? 'exchange' : 'queue',
+        routingKey: b.routingKey,
+        arguments: b.arguments
+      };
+    })
+  };
+};
+
+// ======== Brokers by name
+
+var brokers = {};
+
+// The broker with the name given, made if there isn't one yet
+function broker(name) {
+  name = name || '';
+  return brokers[name] || (brokers[name] = new Broker(name));
+}
+
+// Forget all the brokers (closing their connections), so that the
+// next use of a name gets a fresh broker
+function reset() {
+  var all = brokers;
+  brokers = {};
+  for (var name in all) all[name].closeConnections('reset');
+}
+
+module.exports.Broker = Broker;
+module.exports.BrokerError = BrokerError;
+module.exports.brokerError = brokerError;
+module.exports.copyMessage = copyMessage;
+module.exports.generateName = generateName;
+module.exports.topicMatch = topicMatch;
+module.exports.headersMatch = headersMatch;
+module.exports.broker = broker;
+module.exports.reset = reset;
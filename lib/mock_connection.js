@@ -0,0 +1,713 @@
+//
+//
+//
+
+// The mock broker's side of connections and channels
+
+'use strict';
+
+var defs = require('./defs');
+var constants = defs.constants;
+var frame = require('./frame');
+var FrameParser = frame.FrameParser;
+var decodeFrame = frame.decodeFrame;
+var makeFrame = frame.makeFrame;
+var makeBodyFrame = frame.makeBodyFrame;
+var HEARTBEAT = frame.HEARTBEAT;
+var methodName = require('./format').methodName;
+var Buffer = require('safe-buffer').Buffer;
+var mock = require('./mock_broker');
+var BrokerError = mock.BrokerError;
+var brokerError = mock.brokerError;
+var copyMessage = mock.copyMessage;
+var generateName = mock.generateName;
+
+var PROTOCOL_HEADER = frame.PROTOCOL_HEADER;
+var FRAME_OVERHEAD = defs.FRAME_OVERHEAD;
+
+var SERVER_PROPERTIES = {
+  product: 'amqplib mock broker',
+  version: require('../package.json').version,
+  capabilities: {
+    publisher_confirms: true,
+    exchange_exchange_bindings: true,
+    'basic.nack': true,
+    consumer_cancel_notify: true,
+    'connection.blocked': true,
+    authentication_failure_close: true,
+    per_consumer_qos: true
+  }
+};
+
+// What I offer in connection.tune; whether to heartbeat is left to
+// the client
+var CHANNEL_MAX = 2047;
+var FRAME_MAX = 131072;
+
+// The class and method IDs for a close, from the method that caused
+// it. The reply text has to fit in a shortstr.
+function closeFields(err, id) {
+  var text = err.message;
+  while (Buffer.byteLength(text) > 255) text = text.substr(0, 250) + '...';
+  return {
+    replyCode: err.code,
+    replyText: text,
+    classId: (id) ? id >>> 16 : 0,
+    methodId: (id) ? id & 0xffff : 0
+  };
+}
+
+// ======== Connections
+
+// The states go: waiting for the protocol 'header', then
+// connection.start-ok ('start'), tune-ok ('tune') and open ('open');
+// then 'ready' until either I've sent connection.close ('closing') or
+// it's all over ('closed').
+function ServerConnection(broker, socket) {
+  this.broker = broker;
+  this.socket = socket;
+  this.parser = new FrameParser();
+  this.state = 'header';
+  this.channels = {};
+  this.capabilities = {};
+  this.frameMax = FRAME_MAX;
+  this.vhost = null;
+  this.heartbeater = null;
+  this.cleanedUp = false;
+
+  var self = this;
+  socket.on('readable', function() { self.onReadable(); });
+  socket.on('end', function() { self.shutdown(); });
+}
+
+var SC = ServerConnection.prototype;
+
+SC.onReadable = function() {
+  var chunk;
+  while ((chunk = this.socket.read()) !== null) this.parser.push(chunk);
+
+  if (this.state === 'header') {
+    if (this.parser.length < PROTOCOL_HEADER.length) return;
+    var header = this.parser.take(PROTOCOL_HEADER.length);
+    if (header.toString('binary') !== PROTOCOL_HEADER) {
+      // As a server does: say which protocol I do speak, and hang up
+      this.write(Buffer.from(PROTOCOL_HEADER, 'binary'));
+      return this.shutdown();
+    }
+    this.state = 'start';
+    this.sendMethod(0, defs.ConnectionStart, {
+      versionMajor: 0, versionMinor: 9,
+      serverProperties: SERVER_PROPERTIES,
+      mechanisms: Buffer.from('PLAIN AMQPLAIN EXTERNAL'),
+      locales: Buffer.from('en_US')
+    });
+  }
+
+  while (this.state !== 'closed') {
+    var f, decoded;
+    try {
+      f = this.parser.parse(this.frameMax);
+      if (!f) return;
+      decoded = decodeFrame(f);
+    }
+    catch (e) {
+      return this.closeWithError(brokerError(constants.FRAME_ERROR,
+                                             e.message));
+    }
+    this.onFrame(decoded, f.payload);
+  }
+};
+
+SC.onFrame = function(f, payload) {
+  if (f === HEARTBEAT) return;
+
+  if (this.state === 'closing') {
+    // Everything but the close handshake is ignored
+    if (f.id === defs.ConnectionClose) {
+      this.sendMethod(0, defs.ConnectionCloseOk, {});
+      this.shutdown();
+    }
+    else if (f.id === defs.ConnectionCloseOk) this.shutdown();
+    return;
+  }
+
+  if (f.channel === 0) {
+    try { this.onConnectionMethod(f); }
+    catch (e) { this.handleError(e, f.id, null); }
+  }
+  else this.onChannelFrame(f, payload);
+};
+
+function expect(f, Method) {
+  if (f.id !== Method)
+    throw brokerError(constants.COMMAND_INVALID, "expected '%s'; got '%s'",
+                      methodName(Method),
+                      (f.id) ? methodName(f.id) : 'content');
+}
+
+SC.onConnectionMethod = function(f) {
+  var fields = f.fields;
+  switch (this.state) {
+  case 'start':
+    expect(f, defs.ConnectionStartOk);
+    this.capabilities = (fields.clientProperties &&
+                         fields.clientProperties.capabilities) || {};
+    this.state = 'tune';
+    this.sendMethod(0, defs.ConnectionTune, {
+      channelMax: CHANNEL_MAX, frameMax: FRAME_MAX, heartbeat: 0
+    });
+    return;
+  case 'tune':
+    expect(f, defs.ConnectionTuneOk);
+    this.frameMax = fields.frameMax || 0xffffffff;
+    if (fields.heartbeat > 0) this.startHeartbeat(fields.heartbeat);
+    this.state = 'open';
+    return;
+  case 'open':
+    expect(f, defs.ConnectionOpen);
+    this.vhost = this.broker.vhost(fields.virtualHost);
+    this.state = 'ready';
+    this.sendMethod(0, defs.ConnectionOpenOk, {knownHosts: ''});
+    if (this.broker.blockedReason !== null)
+      this.block(this.broker.blockedReason);
+    return;
+  }
+
+  switch (f.id) {
+  case defs.ConnectionClose:
+    this.sendMethod(0, defs.ConnectionCloseOk, {});
+    this.shutdown();
+    return;
+  case defs.ConnectionUpdateSecret:
+    this.sendMethod(0, defs.ConnectionUpdateSecretOk, {});
+    return;
+  default:
+    throw brokerError(constants.COMMAND_INVALID,
+                      "unexpected '%s' on channel 0",
+                      (f.id) ? methodName(f.id) : 'content');
+  }
+};
+
+SC.onChannelFrame = function(f, payload) {
+  var ch = this.channels[f.channel];
+  try {
+    if (this.state !== 'ready')
+      throw brokerError(constants.COMMAND_INVALID,
+                        'the connection is not open yet');
+    if (!ch) {
+      if (f.id !== defs.ChannelOpen)
+        throw brokerError(constants.CHANNEL_ERROR,
+                          "expected 'channel.open' on channel %d",
+                          f.channel);
+      if (f.channel > CHANNEL_MAX)
+        throw brokerError(constants.CHANNEL_ERROR,
+                          'channel %d is over the channel max of %d',
+                          f.channel, CHANNEL_MAX);
+      this.channels[f.channel] = new ServerChannel(this, f.channel);
+      this.sendMethod(f.channel, defs.ChannelOpenOk,
+                      {channelId: Buffer.from('')});
+      return;
+    }
+  }
+  catch (e) { return this.handleError(e, f.id, null); }
+  ch.onFrame(f, payload);
+};
+
+// A soft error closes just the channel, if there is one; anything
+// else closes the connection
+SC.handleError = function(err, id, channel) {
+  if (!(err instanceof BrokerError))
+    err = brokerError(constants.INTERNAL_ERROR, String(err && err.message));
+  if (channel && !err.isHard()) channel.closeWithError(err, id);
+  else this.closeWithError(err, id);
+};
+
+SC.removeChannel = function(channel) {
+  if (this.channels[channel.id] === channel)
+    delete this.channels[channel.id];
+};
+
+SC.write = function(bytes) {
+  if (this.state !== 'closed') this.socket.write(bytes);
+};
+
+SC.sendMethod = function(channel, Method, fields) {
+  this.write(defs.encodeMethod(Method, channel, fields));
+};
+
+// Send a method with a message as its content; the header is sent as
+// it came from the publisher, and the content split into frames no
+// bigger than the client asked for
+SC.sendMessage = function(channel, Method, fields, message) {
+  var frames = [defs.encodeMethod(Method, channel, fields),
+                makeFrame(constants.FRAME_HEADER, channel, message.header)];
+  var content = message.content;
+  var maxBody = this.frameMax - FRAME_OVERHEAD;
+  for (var offset = 0; offset < content.length; offset += maxBody) {
+    frames.push(makeBodyFrame(channel,
+                              content.slice(offset, offset + maxBody)));
+  }
+  this.write(Buffer.concat(frames));
+};
+
+SC.startHeartbeat = function(seconds) {
+  var self = this;
+  this.heartbeater = setInterval(function() {
+    self.write(frame.HEARTBEAT_BUF);
+  }, seconds * 500);
+  if (typeof this.heartbeater.unref === 'function')
+    this.heartbeater.unref();
+};
+
+SC.block = function(reason) {
+  if (this.state === 'ready' && this.capabilities['connection.blocked'])
+    this.sendMethod(0, defs.ConnectionBlocked, {reason: reason});
+};
+
+SC.unblock = function() {
+  if (this.state === 'ready' && this.capabilities['connection.blocked'])
+    this.sendMethod(0, defs.ConnectionUnblocked, {});
+};
+
+// Send connection.close, and wait for the client to answer
+SC.closeWithError = function(err, id) {
+  if (this.state === 'closing' || this.state === 'closed') return;
+  this.state = 'closing';
+  this.cleanup();
+  this.sendMethod(0, defs.ConnectionClose, closeFields(err, id));
+};
+
+SC.shutdown = function() {
+  if (this.state === 'closed') return;
+  this.cleanup();
+  this.state = 'closed';
+  this.broker.removeConnection(this);
+  this.socket.end();
+};
+
+// Close all the channels, and delete the exclusive queues
+SC.cleanup = function() {
+  if (this.cleanedUp) return;
+  this.cleanedUp = true;
+  if (this.heartbeater !== null) {
+    clearInterval(this.heartbeater);
+    this.heartbeater = null;
+  }
+  var channels = this.channels;
+  this.channels = {};
+  for (var id in channels) channels[id].cleanup();
+  var vhost = this.vhost;
+  if (vhost) {
+    for (var name in vhost.queues) {
+      if (vhost.queues[name].owner === this) vhost.deleteQueue(name);
+    }
+  }
+};
+
+// ======== Channels
+
+function ServerChannel(connection, id) {
+  this.connection = connection;
+  this.id = id;
+  this.vhost = connection.vhost;
+  // once I've sent channel.close, or it's closed altogether
+  this.closing = false;
+  this.consumers = {};
+  // {tag, message, queue, consumer}, in the order delivered
+  this.unacked = [];
+  this.nextTag = 1;
+  // the limit on unacknowledged messages for the whole channel, and
+  // that given to each new consumer
+  this.prefetch = 0;
+  this.consumerPrefetch = 0;
+  this.confirming = false;
+  this.publishSeq = 0;
+  // channel.flow
+  this.active = true;
+  // a message being published: {fields, properties, header, size,
+  // chunks, received}
+  this.publishing = null;
+}
+
+var CH = ServerChannel.prototype;
+
+CH.onFrame = function(f, payload) {
+  var conn = this.connection;
+  if (this.closing) {
+    // Everything but the close handshake is ignored
+    if (f.id === defs.ChannelClose)
+      conn.sendMethod(this.id, defs.ChannelCloseOk, {});
+    else if (f.id === defs.ChannelCloseOk)
+      conn.removeChannel(this);
+    return;
+  }
+
+  try {
+    if (f.content) this.onBody(f.content);
+    else if (f.size !== undefined) this.onHeader(f, payload);
+    else if (this.publishing !== null)
+      throw brokerError(constants.UNEXPECTED_FRAME,
+                        "expected content for 'basic.publish'; got '%s'",
+                        methodName(f.id));
+    else this.onMethod(f);
+  }
+  catch (e) { conn.handleError(e, f.id, this); }
+};
+
+CH.onHeader = function(f, payload) {
+  var p = this.publishing;
+  if (p === null || p.header !== null)
+    throw brokerError(constants.UNEXPECTED_FRAME,
+                      'unexpected content header on channel %d', this.id);
+  p.properties = f.fields;
+  p.header = payload;
+  p.size = f.size;
+  if (p.size === 0) this.finishPublish();
+};
+
+CH.onBody = function(content) {
+  var p = this.publishing;
+  if (p === null || p.header === null)
+    throw brokerError(constants.UNEXPECTED_FRAME,
+                      'unexpected content body on channel %d', this.id);
+  p.chunks.push(content);
+  p.received += content.length;
+  if (p.received > p.size)
+    throw brokerError(constants.FRAME_ERROR,
+                      'content body bigger than the %d bytes given',
+                      p.size);
+  if (p.received === p.size) this.finishPublish();
+};
+
+function reply(channel, fields, Method, replyFields) {
+  if (!fields.nowait)
+    channel.connection.sendMethod(channel.id, Method, replyFields || {});
+}
+
+CH.onMethod = function(f) {
+  var fields = f.fields, vhost = this.vhost;
+  var conn = this.connection;
+  var q;
+
+  switch (f.id) {
+  case defs.ChannelOpen:
+    throw brokerError(constants.CHANNEL_ERROR,
+                      "second 'channel.open' seen on channel %d", this.id);
+  case defs.ChannelClose:
+    this.cleanup();
+    conn.sendMethod(this.id, defs.ChannelCloseOk, {});
+    conn.removeChannel(this);
+    return;
+  case defs.ChannelCloseOk:
+    return;
+  case defs.ChannelFlow:
+    this.active = fields.active;
+    conn.sendMethod(this.id, defs.ChannelFlowOk, {active: fields.active});
+    return this.dispatchAll();
+  case defs.ChannelFlowOk:
+    return;
+
+  case defs.ExchangeDeclare:
+    vhost.declareExchange(fields.exchange, fields.type, fields);
+    return reply(this, fields, defs.ExchangeDeclareOk);
+  case defs.ExchangeDelete:
+    vhost.deleteExchange(fields.exchange, fields.ifUnused);
+    return reply(this, fields, defs.ExchangeDeleteOk);
+  case defs.ExchangeBind:
+    vhost.exchange(fields.destination);
+    vhost.bind(fields.destination, true, fields.source,
+               fields.routingKey, fields.arguments);
+    return reply(this, fields, defs.ExchangeBindOk);
+  case defs.ExchangeUnbind:
+    vhost.unbind(fields.destination, true, fields.source,
+                 fields.routingKey, fields.arguments);
+    return reply(this, fields, defs.ExchangeUnbindOk);
+
+  case defs.QueueDeclare:
+    q = vhost.declareQueue(fields.queue, fields, conn);
+    return reply(this, fields, defs.QueueDeclareOk, {
+      queue: q.name,
+      messageCount: q.messages.length,
+      consumerCount: q.consumers.length
+    });
+  case defs.QueueBind:
+    q = vhost.queue(fields.queue, conn);
+    vhost.bind(q.name, false, fields.exchange,
+               fields.routingKey, fields.arguments);
+    return reply(this, fields, defs.QueueBindOk);
+  case defs.QueueUnbind:
+    q = vhost.queue(fields.queue, conn);
+    vhost.unbind(q.name, false, fields.exchange,
+                 fields.routingKey, fields.arguments);
+    return conn.sendMethod(this.id, defs.QueueUnbindOk, {});
+  case defs.QueuePurge:
+    q = vhost.queue(fields.queue, conn);
+    var purged = q.messages.length;
+    q.messages = [];
+    return reply(this, fields, defs.QueuePurgeOk, {messageCount: purged});
+  case defs.QueueDelete:
+    var deleted = 0;
+    if (vhost.queues[fields.queue]) {
+      q = vhost.queue(fields.queue, conn);
+      if (fields.ifUnused && q.consumers.length > 0)
+        throw brokerError(constants.PRECONDITION_FAILED,
+                          "queue '%s' in vhost '%s' in use",
+                          q.name, vhost.name);
+      if (fields.ifEmpty && q.messages.length > 0)
+        throw brokerError(constants.PRECONDITION_FAILED,
+                          "queue '%s' in vhost '%s' is not empty",
+                          q.name, vhost.name);
+      deleted = vhost.deleteQueue(q.name);
+    }
+    return reply(this, fields, defs.QueueDeleteOk, {messageCount: deleted});
+
+  case defs.BasicQos:
+    if (fields.global) this.prefetch = fields.prefetchCount;
+    else this.consumerPrefetch = fields.prefetchCount;
+    conn.sendMethod(this.id, defs.BasicQosOk, {});
+    return this.dispatchAll();
+  case defs.BasicConsume:
+    return this.consume(fields);
+  case defs.BasicCancel:
+    var consumer = this.consumers[fields.consumerTag];
+    if (consumer) {
+      delete this.consumers[consumer.tag];
+      consumer.queue.removeConsumer(consumer);
+    }
+    return reply(this, fields, defs.BasicCancelOk,
+                 {consumerTag: fields.consumerTag});
+  case defs.BasicPublish:
+    this.publishing = {
+      fields: fields, properties: null, header: null, size: 0,
+      chunks: [], received: 0
+    };
+    return;
+  case defs.BasicGet:
+    return this.get(fields);
+  case defs.BasicAck:
+    return this.settle(fields.deliveryTag, fields.multiple, false);
+  case defs.BasicNack:
+    return this.settle(fields.deliveryTag, fields.multiple,
+                       fields.requeue);
+  case defs.BasicReject:
+    return this.settle(fields.deliveryTag, false, fields.requeue);
+  case defs.BasicRecover:
+  case defs.BasicRecoverAsync:
+    var unacked = this.unacked;
+    this.unacked = [];
+    unacked.forEach(function(u) { if (u.consumer) u.consumer.unacked--; });
+    this.requeue(unacked);
+    if (f.id === defs.BasicRecover)
+      conn.sendMethod(this.id, defs.BasicRecoverOk, {});
+    return this.dispatchAll();
+
+  case defs.ConfirmSelect:
+    this.confirming = true;
+    return reply(this, fields, defs.ConfirmSelectOk);
+
+  default:
+    throw brokerError(constants.NOT_IMPLEMENTED, "'%s' is not implemented",
+                      methodName(f.id));
+  }
+};
+
+CH.consume = function(fields) {
+  var q = this.vhost.queue(fields.queue, this.connection);
+  var exclusive = q.consumers.some(function(c) { return c.exclusive; });
+  if (exclusive || (fields.exclusive && q.consumers.length > 0))
+    throw brokerError(constants.ACCESS_REFUSED,
+                      "queue '%s' in vhost '%s' in exclusive use",
+                      q.name, this.vhost.name);
+  var tag = fields.consumerTag || generateName('amq.ctag-');
+  if (this.consumers[tag])
+    throw brokerError(constants.NOT_ALLOWED,
+                      "attempt to reuse consumer tag '%s'", tag);
+
+  var consumer = {
+    tag: tag, queue: q, channel: this,
+    noAck: fields.noAck, exclusive: fields.exclusive,
+    prefetch: this.consumerPrefetch, unacked: 0
+  };
+  this.consumers[tag] = consumer;
+  reply(this, fields, defs.BasicConsumeOk, {consumerTag: tag});
+  q.addConsumer(consumer);
+};
+
+// The queue has gone, so the consumer has too
+CH.cancelConsumer = function(consumer) {
+  if (this.consumers[consumer.tag] !== consumer) return;
+  delete this.consumers[consumer.tag];
+  if (!this.closing && this.connection.capabilities.consumer_cancel_notify)
+    this.connection.sendMethod(this.id, defs.BasicCancel, {
+      consumerTag: consumer.tag, nowait: true
+    });
+};
+
+CH.get = function(fields) {
+  var q = this.vhost.queue(fields.queue, this.connection);
+  var message = q.messages.shift();
+  if (!message)
+    return this.connection.sendMethod(this.id, defs.BasicGetEmpty,
+                                      {clusterId: ''});
+  var tag = this.nextTag++;
+  if (!fields.noAck)
+    this.unacked.push({tag: tag, message: message, queue: q,
+                       consumer: null});
+  this.connection.sendMessage(this.id, defs.BasicGetOk, {
+    deliveryTag: tag,
+    redelivered: message.redelivered,
+    exchange: message.exchange,
+    routingKey: message.routingKey,
+    messageCount: q.messages.length
+  }, message);
+};
+
+CH.canDeliver = function(consumer) {
+  return !this.closing && this.active &&
+    (consumer.prefetch === 0 || consumer.unacked < consumer.prefetch) &&
+    (this.prefetch === 0 || this.unacked.length < this.prefetch);
+};
+
+CH.deliver = function(consumer, message) {
+  var tag = this.nextTag++;
+  if (!consumer.noAck) {
+    this.unacked.push({tag: tag, message: message,
+                       queue: consumer.queue, consumer: consumer});
+    consumer.unacked++;
+  }
+  this.connection.sendMessage(this.id, defs.BasicDeliver, {
+    consumerTag: consumer.tag,
+    deliveryTag: tag,
+    redelivered: message.redelivered,
+    exchange: message.exchange,
+    routingKey: message.routingKey
+  }, message);
+};
+
+// Acknowledge (or, with `requeue` given, reject) the message with the
+// delivery tag given, or with `multiple`, all those up to it (and all
+// of them, if the tag is 0)
+CH.settle = function(tag, multiple, requeue) {
+  var known = this.unacked.some(function(u) { return u.tag === tag; });
+  if (!known && !(multiple && tag === 0))
+    throw brokerError(constants.PRECONDITION_FAILED,
+                      'unknown delivery tag %d', tag);
+
+  var settled = [], remaining = [];
+  this.unacked.forEach(function(u) {
+    var matches = (multiple) ? (tag === 0 || u.tag <= tag) : u.tag === tag;
+    (matches ? settled : remaining).push(u);
+  });
+  this.unacked = remaining;
+  settled.forEach(function(u) { if (u.consumer) u.consumer.unacked--; });
+  if (requeue) this.requeue(settled);
+  this.dispatchAll();
+};
+
+// Give unacknowledged messages back to their queues, in the order
+// they were delivered
+CH.requeue = function(unacked) {
+  var queues = [], messages = [];
+  unacked.forEach(function(u) {
+    var i = queues.indexOf(u.queue);
+    if (i < 0) {
+      i = queues.push(u.queue) - 1;
+      messages.push([]);
+    }
+    messages[i].push(u.message);
+  });
+  queues.forEach(function(q, i) { q.requeue(messages[i]); });
+};
+
+// There may be room for more deliveries to this channel's consumers
+CH.dispatchAll = function() {
+  for (var tag in this.consumers) this.consumers[tag].queue.dispatch();
+};
+
+function ccList(value) {
+  if (value === undefined || value === null) return [];
+  return [].concat(value).map(String);
+}
+
+CH.finishPublish = function() {
+  var p = this.publishing;
+  this.publishing = null;
+  var fields = p.fields, properties = p.properties, header = p.header;
+  var content = Buffer.concat(p.chunks, p.size);
+  var seq = (this.confirming) ? ++this.publishSeq : 0;
+
+  var ex = this.vhost.exchange(fields.exchange);
+  if (ex.internal)
+    throw brokerError(constants.ACCESS_REFUSED,
+                      "cannot publish to internal exchange '%s' in " +
+                      "vhost '%s'", ex.name, this.vhost.name);
+
+  // Sender-selected distribution: the headers CC and BCC give more
+  // routing keys, and BCC is removed before the message is delivered
+  var routingKeys = [fields.routingKey];
+  var headers = properties.headers;
+  if (headers) {
+    routingKeys = routingKeys.concat(ccList(headers.CC),
+                                     ccList(headers.BCC));
+    if (headers.BCC !== undefined) {
+      var withoutBCC = {};
+      for (var k in headers) {
+        if (k !== 'BCC') withoutBCC[k] = headers[k];
+      }
+      var props = {};
+      for (var p1 in properties) props[p1] = properties[p1];
+      props.headers = withoutBCC;
+      properties = props;
+      var encoded = defs.encodeProperties(defs.BasicProperties, 0,
+                                          content.length, properties);
+      header = encoded.slice(7, encoded.length - 1);
+    }
+  }
+
+  var message = {
+    exchange: fields.exchange,
+    routingKey: fields.routingKey,
+    properties: properties,
+    header: header,
+    content: content,
+    redelivered: false
+  };
+  var queues = this.vhost.route(ex, routingKeys, headers);
+  if (queues.length === 0 && fields.mandatory) {
+    this.connection.sendMessage(this.id, defs.BasicReturn, {
+      replyCode: constants.NO_ROUTE,
+      replyText: 'NO_ROUTE',
+      exchange: fields.exchange,
+      routingKey: fields.routingKey
+    }, message);
+  }
+  queues.forEach(function(q) { q.enqueue(copyMessage(message, false)); });
+  if (this.confirming)
+    this.connection.sendMethod(this.id, defs.BasicAck, {
+      deliveryTag: seq, multiple: false
+    });
+};
+
+// I've closed the channel, or am about to: cancel its consumers, and
+// requeue what it had unacknowledged
+CH.cleanup = function() {
+  this.closing = true;
+  this.publishing = null;
+  var unacked = this.unacked;
+  this.unacked = [];
+  this.requeue(unacked);
+  var consumers = this.consumers;
+  this.consumers = {};
+  for (var tag in consumers) {
+    consumers[tag].queue.removeConsumer(consumers[tag]);
+  }
+};
+
+CH.closeWithError = function(err, id) {
+  if (this.closing) return;
+  this.cleanup();
+  this.connection.sendMethod(this.id, defs.ChannelClose,
+                             closeFields(err, id));
+};
+
+module.exports.ServerConnection = ServerConnection;
@@ -0,0 +1,444 @@
+//
+//
+//
+
+// Automatic connection recovery. If a model is created with recovery
+// switched on, losing the connection (for any reason other than the
+// application closing it) does not close the model and its channels;
+// instead, I keep trying to connect again, according to a backoff
+// policy, and when I succeed, I put things back the way they were:
+//
+//  - exchanges, queues and bindings declared through the model are
+//    declared again (some will have gone with the connection, e.g.,
+//    exclusive queues, and it does no harm to redeclare the rest);
+//
+//  - channels are reopened, with the same prefetch settings and
+//    consumers as before, and confirms switched on (and flow switched
+//    off) if they were.
+//
+// While this is going on the channels are 'suspended': trying to use
+// them will throw an IllegalOperationError, as it would for a closed
+// channel. RPCs that were in flight are rejected, as are publisher
+// confirms that were outstanding, since there will be no answer to
+// them. Messages that were delivered but not acknowledged will be
+// redelivered by the server; there's no sense in acknowledging them
+// on the new connection (the delivery tags belong to the old one).
+//
+// The model emits 'reconnecting' before each attempt, and
+// 'recovered' once everything has been put back. If the backoff
+// policy says to give up, the channels are closed and the model
+// emits 'error' (if there was one) and 'close', as it would have when
+// the connection was lost.
+
+'use strict';
+
+var defs = require('./defs');
+var Promise = require('bluebird');
+var Channel = require('./channel').Channel;
+var Args = require('./api_args');
+var stackCapture = require('./error').stackCapture;
+
+var DEFAULT_BACKOFF = {
+  initialDelay: 1000, // milliseconds before the first attempt
+  maxDelay: 30000, // the delay won't grow beyond this
+  factor: 2, // the delay is multiplied by this for each attempt
+  maxAttempts: 0 // zero means never give up
+};
+
+// Make a backoff policy from the options given (which may be `true`,
+// to just use the defaults). A policy is a procedure taking the
+// number of the attempt about to be made (starting with 1) and
+// returning the delay before making it, in milliseconds, or a
+// negative number to give up. Options can supply their own procedure
+// as `backoff`.
+function backoff(options) {
+  if (options && typeof options.backoff === 'function')
+    return options.backoff;
+
+  var opts = {};
+  Object.keys(DEFAULT_BACKOFF).forEach(function(k) {
+    opts[k] = (options && options[k] !== undefined)
+      ? options[k] : DEFAULT_BACKOFF[k];
+  });
+
+  return function(attempt) {
+    if (opts.maxAttempts > 0 && attempt > opts.maxAttempts) return -1;
+    var delay = opts.initialDelay * Math.pow(opts.factor, attempt - 1);
+    return Math.min(delay, opts.maxDelay);
+  };
+}
+
+// `reconnect` is a procedure that takes a node-style callback and
+// makes a fresh, opened connection (i.e., `connect` with the
+// original arguments partially applied).
+function Recovery(reconnect, options) {
+  this.reconnect = reconnect;
+  this.backoff = backoff(options);
+  this.model = null;
+  this.stopped = false;
+  // true between losing a connection and getting a fresh one
+  this.waiting = false;
+  // true while putting things back on a fresh connection
+  this.restoring = false;
+  this.timer = null;
+
+  // What's been declared, keyed by name
+  this.exchanges = {};
+  this.queues = {};
+  this.bindings = [];
+  // {channel, confirm, prefetch, globalPrefetch, flow, consumers}
+  this.channels = [];
+}
+
+module.exports.Recovery = Recovery;
+module.exports.backoff = backoff;
+
+var R = Recovery.prototype;
+
+R.attach = function(model) {
+  this.model = model;
+  this.watch(model.connection);
+};
+
+// Forward the events from the connection the model is interested
+// in; but, since losing the connection is expected to be temporary,
+// trade an 'error' and 'close' for a recovery.
+R.watch = function(connection) {
+  var self = this, model = this.model;
+  var lastError, ignore = false;
+  // Used when a fresh connection is given up on, so that it closing
+  // doesn't go on to start another recovery.
+  this.unwatch = function() { ignore = true; };
+
+  ['blocked', 'unblocked', 'heartbeat'].forEach(function(ev) {
+    connection.on(ev, function(info) {
+      if (!ignore) model.emit(ev, info);
+    });
+  });
+  connection.on('error', function(err) {
+    if (ignore) return;
+    // Some errors (e.g., failing to refresh credentials) don't mean
+    // the connection is going away, so there's nothing to recover
+    // from
+    else if (self.stopped || err.closesConnection === false)
+      model.emit('error', err);
+    else lastError = err;
+  });
+  connection.on('close', function(err) {
+    if (ignore) return;
+    else if (self.stopped) model.emit('close', err);
+    // If it goes while restoring, that attempt will fail and be
+    // retried
+    else if (self.restoring) return;
+    else self.recover(err || lastError);
+  });
+};
+
+R.willRecover = function() {
+  return !this.stopped;
+};
+
+// The application is closing the model. Returns true if there's no
+// connection to close, because I'm waiting to make a fresh one, in
+// which case the model is closed here; otherwise the model will be
+// closed when the connection is.
+R.abandon = function() {
+  this.stopped = true;
+  if (this.waiting) {
+    this.waiting = false;
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+    this._closeChannels(stackCapture('Recovery abandoned'));
+    this.model.emit('close');
+    return true;
+  }
+  return false;
+};
+
+R.recover = function(cause) {
+  var self = this, model = this.model;
+  var attempt = 0;
+
+  function retry(err) {
+    if (self.stopped) return;
+    self.waiting = true;
+    self.restoring = false;
+    attempt++;
+    var delay = self.backoff(attempt);
+    if (delay < 0) return self.giveUp(err);
+
+    model.emit('reconnecting', {attempt: attempt, delay: delay, error: err});
+    self.timer = setTimeout(function() {
+      self.timer = null;
+      self.reconnect(function(err, connection) {
+        if (self.stopped) {
+          if (err === null) connection.close();
+          return;
+        }
+        if (err !== null) return retry(err);
+
+        self.waiting = false;
+        self.restoring = true;
+        model.connection = connection;
+        self.watch(connection);
+        self.restore(connection).then(function() {
+          self.restoring = false;
+          model.emit('recovered', {attempts: attempt});
+        }, function(err) {
+          // Things might have failed because the connection has gone
+          // (again), or it might be something else, in which case try
+          // to start from scratch
+          self.unwatch();
+          try { connection.close(); } catch (_e) {}
+          retry(err);
+        });
+      });
+    }, delay);
+  }
+
+  retry(cause);
+};
+
+R.giveUp = function(err) {
+  this.stopped = true;
+  this.waiting = false;
+  this._closeChannels(stackCapture('Recovery abandoned'));
+  if (err) this.model.emit('error', err);
+  this.model.emit('close', err);
+};
+
+R._closeChannels = function(capturedStack) {
+  // toClosed will emit 'close', which removes the channel from the
+  // list; hence the copy
+  this.channels.slice().forEach(function(entry) {
+    entry.channel.toClosed(capturedStack);
+  });
+};
+
+// Put everything back on the fresh connection: first the topology,
+// then the channels.
+R.restore = function(connection) {
+  var self = this;
+  return this.restoreTopology(connection).then(function() {
+    return Promise.each(self.channels.slice(), function(entry) {
+      return self.reopen(entry, connection);
+    });
+  });
+};
+
+function rpc(ch, method, fields, expect) {
+  return Promise.fromCallback(function(cb) {
+    ch._rpc(method, fields, expect, cb);
+  });
+}
+
+// Redeclare exchanges, queues and bindings, using a channel just for
+// the purpose. Server-named queues will get a new name, which I have
+// to substitute in any bindings and consumers that use it.
+R.restoreTopology = function(connection) {
+  var self = this;
+  var exchanges = Object.keys(this.exchanges);
+  var queues = Object.keys(this.queues);
+  if (exchanges.length + queues.length + this.bindings.length === 0)
+    return Promise.resolve();
+
+  var ch = new Channel(connection);
+  // Errors are reported through the RPCs
+  ch.on('error', function() {});
+
+  return Promise.try(function() {
+    ch.allocate();
+    return rpc(ch, defs.ChannelOpen, {outOfBand: ''}, defs.ChannelOpenOk);
+  })
+  .then(function() {
+    return Promise.each(exchanges, function(name) {
+      var ex = self.exchanges[name];
+      return rpc(ch, defs.ExchangeDeclare,
+                 Args.assertExchange(name, ex.type, ex.options),
+                 defs.ExchangeDeclareOk);
+    });
+  })
+  .then(function() {
+    return Promise.each(queues, function(name) {
+      var q = self.queues[name];
+      return rpc(ch, defs.QueueDeclare,
+                 Args.assertQueue(q.name, q.options),
+                 defs.QueueDeclareOk)
+        .then(function(ok) {
+          if (ok.fields.queue !== name)
+            self.renameQueue(name, ok.fields.queue);
+        });
+    });
+  })
+  .then(function() {
+    return Promise.each(self.bindings.slice(), function(b) {
+      return (b.kind === 'queue')
+        ? rpc(ch, defs.QueueBind,
+              Args.bindQueue(b.destination, b.source, b.pattern, b.argt),
+              defs.QueueBindOk)
+        : rpc(ch, defs.ExchangeBind,
+              Args.bindExchange(b.destination, b.source,
+                                b.pattern, b.argt),
+              defs.ExchangeBindOk);
+    });
+  })
+  .then(function() {
+    return Promise.fromCallback(function(cb) {
+      ch.closeBecause("Recovered", defs.constants.REPLY_SUCCESS,
+                      function(err) { cb(err || null); });
+    });
+  });
+};
+
+R.reopen = function(entry, connection) {
+  var ch = entry.channel;
+  return Promise.try(function() {
+    ch.reattach(connection);
+    return rpc(ch, defs.ChannelOpen, {outOfBand: ''}, defs.ChannelOpenOk);
+  })
+  .then(function() {
+    if (entry.confirm)
+      return rpc(ch, defs.ConfirmSelect, {nowait: false},
+                 defs.ConfirmSelectOk);
+  })
+  .then(function() {
+    if (entry.prefetch !== undefined)
+      return rpc(ch, defs.BasicQos, Args.prefetch(entry.prefetch, false),
+                 defs.BasicQosOk);
+  })
+  .then(function() {
+    if (entry.globalPrefetch !== undefined)
+      return rpc(ch, defs.BasicQos,
+                 Args.prefetch(entry.globalPrefetch, true),
+                 defs.BasicQosOk);
+  })
+  .then(function() {
+    if (!entry.flow)
+      return rpc(ch, defs.ChannelFlow, Args.flow(false), defs.ChannelFlowOk);
+  })
+  .then(function() {
+    return Promise.each(Object.keys(entry.consumers), function(tag) {
+      var c = entry.consumers[tag];
+      // Consume with the same tag, so the consumer callback registered
+      // with the channel still applies
+      var options = Object.create(c.options || null);
+      options.consumerTag = tag;
+      return rpc(ch, defs.BasicConsume, Args.consume(c.queue, options),
+                 defs.BasicConsumeOk);
+    });
+  });
+};
+
+R.renameQueue = function(from, to) {
+  var q = this.queues[from];
+  delete this.queues[from];
+  this.queues[to] = q;
+  this.bindings.forEach(function(b) {
+    if (b.kind === 'queue' && b.destination === from) b.destination = to;
+  });
+  this.channels.forEach(function(entry) {
+    for (var tag in entry.consumers) {
+      var c = entry.consumers[tag];
+      if (c.queue === from) c.queue = to;
+    }
+  });
+};
+
+// Recording what's been done, so it can be done again. These are
+// called by the models once an operation has succeeded.
+
+R.addChannel = function(ch, confirm) {
+  var self = this;
+  var entry = {
+    channel: ch, confirm: !!confirm,
+    prefetch: undefined, globalPrefetch: undefined,
+    flow: true, consumers: {}
+  };
+  this.channels.push(entry);
+  ch.recovery = this;
+  ch.once('close', function() {
+    var i = self.channels.indexOf(entry);
+    if (i > -1) self.channels.splice(i, 1);
+  });
+  // The server will cancel a consumer if, e.g., its queue is deleted
+  ch.on('cancel', function(fields) {
+    delete entry.consumers[fields.consumerTag];
+  });
+};
+
+R._entry = function(ch) {
+  for (var i = 0; i < this.channels.length; i++) {
+    if (this.channels[i].channel === ch) return this.channels[i];
+  }
+  return null;
+};
+
+R.recordExchange = function(name, type, options) {
+  // The default exchange and the built-in ones don't need declaring
+  if (name === '' || name.indexOf('amq.') === 0) return;
+  this.exchanges[name] = {type: type, options: options};
+};
+
+R.forgetExchange = function(name) {
+  delete this.exchanges[name];
+  this.bindings = this.bindings.filter(function(b) {
+    return b.source !== name &&
+      !(b.kind === 'exchange' && b.destination === name);
+  });
+};
+
+// `actual` is the name the server reports, which will differ from
+// `name` if the server chose the name.
+R.recordQueue = function(name, options, actual) {
+  this.queues[actual] = {name: name, options: options};
+};
+
+R.forgetQueue = function(name) {
+  delete this.queues[name];
+  this.bindings = this.bindings.filter(function(b) {
+    return !(b.kind === 'queue' && b.destination === name);
+  });
+};
+
+function sameBinding(a, b) {
+  return a.kind === b.kind && a.destination === b.destination &&
+    a.source === b.source && a.pattern === b.pattern &&
+    JSON.stringify(a.argt) === JSON.stringify(b.argt);
+}
+
+R.recordBinding = function(kind, destination, source, pattern, argt) {
+  var binding = {kind: kind, destination: destination,
+                 source: source, pattern: pattern, argt: argt};
+  if (!this.bindings.some(sameBinding.bind(null, binding)))
+    this.bindings.push(binding);
+};
+
+R.forgetBinding = function(kind, destination, source, pattern, argt) {
+  var binding = {kind: kind, destination: destination,
+                 source: source, pattern: pattern, argt: argt};
+  this.bindings = this.bindings.filter(function(b) {
+    return !sameBinding(binding, b);
+  });
+};
+
+R.recordPrefetch = function(ch, count, global) {
+  var entry = this._entry(ch);
+  if (entry === null) return;
+  if (global) entry.globalPrefetch = count;
+  else entry.prefetch = count;
+};
+
+R.recordFlow = function(ch, active) {
+  var entry = this._entry(ch);
+  if (entry !== null) entry.flow = !!active;
+};
+
+R.recordConsumer = function(ch, tag, queue, options) {
+  var entry = this._entry(ch);
+  if (entry !== null) entry.consumers[tag] = {queue: queue, options: options};
+};
+
+R.forgetConsumer = function(ch, tag) {
+  var entry = this._entry(ch);
+  if (entry !== null) delete entry.consumers[tag];
+};
@@ -0,0 +1,377 @@
+//
+//
+//
+
+// Recording sessions with a server, and replaying them
+
+'use strict';
+
+/*
+A recording is a file of JSON records, one per line, each of which is
+a frame sent by the client or the server:
+
+    {"t": 12, "from": "client", "type": 1, "channel": 1,
+     "payload": "ADwAKAAAA2ZvbwNiYXIA", "frame": "<BasicPublish channel:1>"}
+
+`t` is milliseconds since the recording started, `type` is the frame
+type (method, header, body or heartbeat), and `payload` is the frame
+payload, base64-encoded; `frame` is there for the benefit of people
+reading the file. Credentials (the SASL responses, and secrets given
+to connection.update-secret) are blanked out before being written.
+
+To record, give the socket option `record` to `connect`, either as a
+file path or a writable stream:
+
+    amqp.connect(url, {record: 'session.jsonl'});
+
+To replay, make a Replayer with the recording and connect using its
+`socketFactory`, which stands in for the server:
+
+    var replayer = new Replayer('session.jsonl');
+    replayer.on('divergence', function(err) { ... });
+    amqp.connect('amqp://replay', {socketFactory: replayer.socketFactory});
+
+The replayer sends the server's frames as they were recorded, and
+checks the frames it gets from the client against the recording. If
+the client sends something other than what was recorded, the
+replayer emits 'divergence' with a ReplayDivergenceError, and closes
+the socket. Once all the recorded frames have been sent or received,
+it emits 'end'.
+*/
+
+var fs = require('fs');
+var inherits = require('util').inherits;
+var fmt = require('util').format;
+var EventEmitter = require('events').EventEmitter;
+var Duplex =
+  require('stream').Duplex ||
+  require('readable-stream/duplex');
+var Buffer = require('safe-buffer').Buffer;
+var defs = require('./defs');
+var frame = require('./frame');
+var FrameParser = frame.FrameParser;
+var decodeFrame = frame.decodeFrame;
+var inspect = require('./format').inspect;
+var socketPair = require('./socket_pair').socketPair;
+var ReplayDivergenceError = require('./error').ReplayDivergenceError;
+
+var FRAME_HEARTBEAT = defs.constants.FRAME_HEARTBEAT;
+var PROTOCOL_HEADER = Buffer.from(frame.PROTOCOL_HEADER, 'binary');
+// The recorder isn't the place to enforce a frame max
+var ANY_SIZE = 0xffffffff;
+
+var schedule = (typeof setImmediate === 'function') ?
+  setImmediate : process.nextTick;
+
+// A frame as the parser gives it, e.g., {type, channel, payload},
+// described for people
+function describe(f, showFields) {
+  var decoded = decodeFrame(f);
+  if (decoded.content)
+    decoded = {channel: decoded.channel, size: decoded.content.length};
+  return inspect(decoded, showFields);
+}
+
+function encodeFrame(f) {
+  return frame.makeFrame(f.type, f.channel, f.payload);
+}
+
+// ======== Recording
+
+// The fields that carry credentials, by method
+var SECRET_FIELDS = {};
+SECRET_FIELDS[defs.ConnectionStartOk] = 'response';
+SECRET_FIELDS[defs.ConnectionSecureOk] = 'response';
+SECRET_FIELDS[defs.ConnectionUpdateSecret] = 'newSecret';
+
+// The frame with any credentials in it replaced with an empty value
+function redact(f) {
+  if (f.type !== defs.constants.FRAME_METHOD) return f;
+  var id = f.payload.readUInt32BE(0);
+  var field = SECRET_FIELDS[id];
+  if (field === undefined) return f;
+  var fields = decodeFrame(f).fields;
+  fields[field] = Buffer.alloc(0);
+  var encoded = defs.encodeMethod(id, f.channel, fields);
+  // less the frame header (7 bytes) and frame end (1 byte)
+  return {type: f.type, channel: f.channel,
+          payload: encoded.slice(7, encoded.length - 1)};
+}
+
+// Stands in for `socket`, recording everything that goes through it
+// to `out`, a path or a writable stream. If it's a path, the file is
+// closed when the socket ends.
+function RecordingSocket(socket, out) {
+  Duplex.call(this);
+  var self = this;
+  this.socket = socket;
+
+  if (typeof out === 'string') {
+    out = fs.createWriteStream(out);
+    var closeFile = function() {
+      socket.removeListener('end', closeFile);
+      socket.removeListener('close', closeFile);
+      out.end();
+    };
+    socket.on('end', closeFile);
+    socket.on('close', closeFile);
+  }
+  this.out = out;
+  this.started = Date.now();
+  this.fromClient = new FrameParser();
+  this.fromServer = new FrameParser();
+  // The client starts with the protocol header, which isn't a frame
+  this.headerToSkip = PROTOCOL_HEADER.length;
+
+  socket.on('data', function(chunk) {
+    self.record('server', self.fromServer, chunk);
+    if (!self.push(chunk)) socket.pause();
+  });
+  socket.on('end', function() { self.push(null); });
+  socket.on('error', function(err) { self.emit('error', err); });
+  this.on('finish', function() { socket.end(); });
+}
+inherits(RecordingSocket, Duplex);
+
+var RS = RecordingSocket.prototype;
+
+RS._read = function() {
+  this.socket.resume();
+};
+
+RS._write = function(chunk, encoding, callback) {
+  this.record('client', this.fromClient, chunk);
+  this.socket.write(chunk, encoding, callback);
+};
+
+RS._destroy = function(err, callback) {
+  if (typeof this.socket.destroy === 'function') this.socket.destroy();
+  callback(err);
+};
+
+RS.record = function(from, parser, chunk) {
+  parser.push(chunk);
+  if (from === 'client' && this.headerToSkip > 0) {
+    var skip = Math.min(this.headerToSkip, parser.length);
+    parser.skip(skip);
+    this.headerToSkip -= skip;
+  }
+  var f;
+  while (f = parser.parse(ANY_SIZE)) {
+    f = redact(f);
+    this.out.write(JSON.stringify({
+      t: Date.now() - this.started,
+      from: from,
+      type: f.type,
+      channel: f.channel,
+      payload: f.payload.toString('base64'),
+      frame: describe(f, false)
+    }) + '\n');
+  }
+};
+
+function record(socket, out) {
+  return new RecordingSocket(socket, out);
+}
+
+// Read a recording from a file
+function load(path) {
+  return fs.readFileSync(path, 'utf8').split('\n')
+    .filter(function(line) { return line.trim() !== ''; })
+    .map(function(line) { return JSON.parse(line); });
+}
+
+// ======== Replaying
+
+// The client properties include the library and Node.JS versions,
+// and the credentials are blanked out when recording (see `redact`),
+// so by default the fields of the methods carrying either aren't
+// compared.
+var DEFAULT_IGNORE_FIELDS = [
+  'ConnectionStartOk', 'ConnectionSecureOk', 'ConnectionUpdateSecret'
+];
+
+// `recording` is either a path or an array of records. Options:
+//
+// - `ignoreFields`: names of methods (or properties, e.g.,
+//   'BasicProperties') the fields of which aren't compared, for
+//   things that vary from run to run (timestamps, say)
+// - `timing`: if true, wait before sending each of the server's
+//   frames for as long as passed before it in the recording;
+//   otherwise, send them as soon as they're due
+function Replayer(recording, options) {
+  EventEmitter.call(this);
+  options = options || {};
+  var records = (typeof recording === 'string') ?
+    load(recording) : recording;
+  this.records = records.map(function(r) {
+    return {
+      t: r.t, from: r.from,
+      frame: {type: r.type, channel: r.channel,
+              payload: Buffer.from(r.payload, 'base64')}
+    };
+  });
+  this.ignoreFields = options.ignoreFields || DEFAULT_IGNORE_FIELDS;
+  this.timing = !!options.timing;
+
+  this.next = 0;
+  this.matched = [];
+  this.server = null;
+  this.timer = null;
+  this.ended = false;
+  this.diverged = false;
+
+  var self = this;
+  // For giving to `connect` as the socket option `socketFactory`
+  this.socketFactory = function(_options, onConnect) {
+    var socket = self.socket();
+    schedule(onConnect);
+    return socket;
+  };
+}
+inherits(Replayer, EventEmitter);
+
+var R = Replayer.prototype;
+
+// Make a socket for the client to use; a replayer can only be used
+// for one connection.
+R.socket = function() {
+  if (this.server !== null)
+    throw new Error('This recording is already being replayed');
+  var pair = socketPair();
+  this.serve(pair.server);
+  return pair.client;
+};
+
+R.serve = function(server) {
+  var self = this;
+  var parser = new FrameParser();
+  var gotHeader = false;
+  this.server = server;
+
+  server.on('readable', function() {
+    var chunk;
+    while ((chunk = server.read()) !== null) parser.push(chunk);
+    if (!gotHeader) {
+      if (parser.length < PROTOCOL_HEADER.length) return;
+      var header = parser.take(PROTOCOL_HEADER.length);
+      if (header.toString('binary') !== frame.PROTOCOL_HEADER)
+        return self.diverge(new ReplayDivergenceError(
+          'Expected the protocol header from the client',
+          undefined, header));
+      gotHeader = true;
+      self.advance();
+    }
+    var f;
+    try {
+      while (!self.diverged && (f = parser.parse(ANY_SIZE)))
+        self.receive(f);
+    }
+    catch (e) {
+      self.diverge(new ReplayDivergenceError(
+        'Bad frame from the client: ' + e.message));
+    }
+  });
+  server.on('end', function() {
+    if (!self.ended && !self.diverged)
+      self.diverge(new ReplayDivergenceError(
+        'Client closed the connection before the end of the recording',
+        self.expected()));
+  });
+};
+
+// The next frame due from the client, if it's the client's turn
+R.expected = function() {
+  var r = this.records[this.next];
+  return (r && r.from === 'client') ? r.frame : undefined;
+};
+
+R.receive = function(f) {
+  // When heartbeats get sent depends on timing, so they are neither
+  // expected nor checked
+  if (f.type === FRAME_HEARTBEAT) return;
+
+  // Frames on different channels may not be interleaved the same way
+  // each time, so the frame can be any of those due from the client
+  // before the server's next frame, so long as it's the first on its
+  // channel.
+  var records = this.records, expected;
+  for (var i = this.next;
+       i < records.length && records[i].from === 'client'; i++) {
+    var r = records[i].frame;
+    if (this.matched[i] || r.type === FRAME_HEARTBEAT ||
+        r.channel !== f.channel) continue;
+    if (this.sameFrame(r, f)) {
+      this.matched[i] = true;
+      return this.advance();
+    }
+    expected = r;
+    break;
+  }
+
+  this.diverge(new ReplayDivergenceError(
+    fmt('Client sent %s; expected %s',
+        describe(f, true),
+        (expected) ? describe(expected, true)
+          : fmt('nothing on channel %d', f.channel)),
+    expected, f));
+};
+
+R.sameFrame = function(recorded, actual) {
+  if (recorded.type !== actual.type) return false;
+  if (recorded.type === defs.constants.FRAME_BODY)
+    return recorded.payload.equals(actual.payload);
+  var r = decodeFrame(recorded), a = decodeFrame(actual);
+  if (r.id !== a.id) return false;
+  if (this.ignoreFields.indexOf(defs.info(r.id).name) > -1) return true;
+  return recorded.payload.equals(actual.payload);
+};
+
+// Send the server's frames until it's the client's turn
+R.advance = function() {
+  var self = this, records = this.records;
+  if (this.diverged || this.ended || this.timer !== null) return;
+
+  while (this.next < records.length) {
+    var r = records[this.next];
+    if (r.from === 'client') {
+      if (this.matched[this.next] || r.frame.type === FRAME_HEARTBEAT) {
+        this.next++;
+        continue;
+      }
+      return;
+    }
+    var delay = (this.timing && this.next > 0) ?
+      r.t - records[this.next - 1].t : 0;
+    if (delay > 0) {
+      this.timer = setTimeout(function() {
+        self.timer = null;
+        self.send(r);
+        self.advance();
+      }, delay);
+      return;
+    }
+    this.send(r);
+  }
+  this.ended = true;
+  this.emit('end');
+};
+
+R.send = function(r) {
+  this.next++;
+  this.server.write(encodeFrame(r.frame));
+};
+
+R.diverge = function(err) {
+  this.diverged = true;
+  if (this.timer !== null) {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+  this.emit('divergence', err);
+  this.server.end();
+};
+
+module.exports.record = record;
+module.exports.load = load;
+module.exports.Replayer = Replayer;
@@ -0,0 +1,58 @@
+//
+//
+//
+
+'use strict';
+
+var PassThrough =
+  require('stream').PassThrough ||
+  require('readable-stream/passthrough');
+
+// Set up a socket pair {client, server}, such that writes to the
+// client are readable from the server, and writes to the server are
+// readable at the client.
+//
+//          +---+      +---+
+//          | C |      | S |
+// --write->| l |----->| e |--read-->
+//          | i |      | r |
+// <--read--| e |<-----| v |<-write--
+//          | n |      | e |
+//          | t |      | r |
+//          +---+      +---+
+//
+// I also need to make sure that end called on either socket affects
+// the other.
+//
+// Nothing is ever waiting to be written, so a write callback (if
+// given) is called straight away. Anything written after the end is
+// dropped, as it would be by a socket that's been closed.
+function socketPair() {
+  var server = new PassThrough();
+  var client = new PassThrough();
+  var ended = [];
+  function writeTo(other) {
+    return function(chunk, encoding, callback) {
+      if (typeof encoding === 'function') {
+        callback = encoding; encoding = undefined;
+      }
+      var ok = (ended.indexOf(other) < 0) && other.push(chunk, encoding);
+      if (callback) callback();
+      return ok;
+    };
+  }
+  server.write = writeTo(client);
+  client.write = writeTo(server);
+  function end(chunk, encoding) {
+    if (ended.indexOf(this) > -1) return;
+    if (chunk) this.push(chunk, encoding);
+    ended.push(this);
+    this.push(null);
+  }
+  server.end = end.bind(client);
+  client.end = end.bind(server);
+
+  return {client: client, server: server};
+}
+
+module.exports.socketPair = socketPair;
@@ -0,0 +1,148 @@
+//
+//
+//
+
+// Frame-level tracing, through Node's diagnostics_channel
+
+'use strict';
+
+/*
+Every frame decoded from the socket is published to the topic
+'amqplib:frame:in', and every method, header and body frame written is
+published to 'amqplib:frame:out'. An event looks like
+
+    {
+      connection: <the Connection>,
+      direction: 'in' or 'out',
+      type: 'method', 'header', 'body' or 'heartbeat',
+      channel: <channel number>,
+      id: <method or properties id>,     // methods and headers only
+      name: <e.g., 'BasicPublish'>,      // methods and headers only
+      fields: <method fields or properties>,
+      size: <content size>,              // headers and bodies only
+      frameSize: <bytes on the wire>
+    }
+
+Subscribe with `diagnostics_channel.subscribe(topic, fn)` (or
+`.channel(topic).subscribe(fn)`), or use `printTranscript` below.
+
+Nothing is constructed unless there's a subscriber, so tracing costs
+only a property lookup when it's not being used. In runtimes without
+diagnostics_channel, it's simply never on.
+*/
+
+var format = require('./format');
+var HEARTBEAT = require('./frame').HEARTBEAT;
+var FRAME_OVERHEAD = require('./defs').FRAME_OVERHEAD;
+
+var dc;
+try { dc = require('diagnostics_channel'); }
+catch (_e) { dc = null; }
+
+var IN_TOPIC = 'amqplib:frame:in';
+var OUT_TOPIC = 'amqplib:frame:out';
+
+var NEVER = Object.freeze({
+  hasSubscribers: false,
+  publish: function() {},
+  subscribe: function() {},
+  unsubscribe: function() {}
+});
+
+function topic(name) {
+  return (dc) ? dc.channel(name) : NEVER;
+}
+
+var incoming = topic(IN_TOPIC);
+var outgoing = topic(OUT_TOPIC);
+
+function event(connection, direction, type, channel, id, fields, size,
+               frameSize) {
+  return {
+    connection: connection,
+    direction: direction,
+    type: type,
+    channel: channel,
+    id: id,
+    name: (id) ? format.methodName(id) : undefined,
+    fields: fields,
+    size: size,
+    frameSize: frameSize
+  };
+}
+
+// `f` is a frame as returned by `decodeFrame`
+function frameIn(connection, f, frameSize) {
+  if (!incoming.hasSubscribers) return;
+  var e;
+  if (f === HEARTBEAT)
+    e = event(connection, 'in', 'heartbeat', 0, undefined, undefined,
+              undefined, frameSize);
+  else if (f.content)
+    e = event(connection, 'in', 'body', f.channel, undefined, undefined,
+              f.content.length, frameSize);
+  else if (f.size !== undefined)
+    e = event(connection, 'in', 'header', f.channel, f.id, f.fields,
+              f.size, frameSize);
+  else
+    e = event(connection, 'in', 'method', f.channel, f.id, f.fields,
+              undefined, frameSize);
+  incoming.publish(e);
+}
+
+function methodOut(connection, channel, Method, fields, frameSize) {
+  if (!outgoing.hasSubscribers) return;
+  outgoing.publish(event(connection, 'out', 'method', channel,
+                         Method, fields, undefined, frameSize));
+}
+
+function headerOut(connection, channel, Properties, props, size,
+                   frameSize) {
+  if (!outgoing.hasSubscribers) return;
+  outgoing.publish(event(connection, 'out', 'header', channel,
+                         Properties, props, size, frameSize));
+}
+
+function bodyOut(connection, channel, size) {
+  if (!outgoing.hasSubscribers) return;
+  outgoing.publish(event(connection, 'out', 'body', channel,
+                         undefined, undefined, size,
+                         size + FRAME_OVERHEAD));
+}
+
+// Write a line for each frame going in or out, using
+// `format.inspect`; e.g.,
+//
+//     -> <BasicPublish channel:1 {...}>
+//     <- <BasicDeliver channel:1 {...}>
+//
+// `write` is given each line, and defaults to writing to stderr;
+// fields are shown unless `showFields` is false. Returns a procedure
+// that stops the transcript.
+function printTranscript(write, showFields) {
+  write = write || function(line) {
+    process.stderr.write(line + '\n');
+  };
+  showFields = (showFields === undefined) ? true : showFields;
+
+  function print(e) {
+    var frame = (e.type === 'heartbeat') ? HEARTBEAT : e;
+    write(((e.direction === 'in') ? '<- ' : '-> ') +
+          format.inspect(frame, showFields));
+  }
+
+  incoming.subscribe(print);
+  outgoing.subscribe(print);
+  return function() {
+    incoming.unsubscribe(print);
+    outgoing.unsubscribe(print);
+  };
+}
+
+module.exports.IN_TOPIC = IN_TOPIC;
+module.exports.OUT_TOPIC = OUT_TOPIC;
+module.exports.frameIn = frameIn;
+module.exports.methodOut = methodOut;
+module.exports.headerOut = headerOut;
+module.exports.bodyOut = bodyOut;
+module.exports.printTranscript = printTranscript;
@@ -0,0 +1,52 @@
+// Declarations for the in-memory broker (see ./mock.js, and the
+// README).
+
+/// <reference types="node" />
+
+import { SocketFactory } from './channel_api';
+import { FieldTable, BasicProperties } from './lib/defs';
+
+// What `Broker#queue` and `Broker#exchange` give are snapshots;
+// changing them changes nothing in the broker
+export interface QueuedMessage {
+  exchange: string;
+  routingKey: string;
+  properties: BasicProperties;
+  content: Buffer;
+  redelivered: boolean;
+}
+
+export interface QueueSnapshot {
+  name: string;
+  messageCount: number;
+  consumerCount: number;
+  messages: QueuedMessage[];
+}
+
+export interface Binding {
+  destination: string;
+  destinationType: 'queue' | 'exchange';
+  routingKey: string;
+  arguments: FieldTable;
+}
+
+export interface ExchangeSnapshot {
+  name: string;
+  type: string;
+  bindings: Binding[];
+}
+
+export declare class Broker {
+  constructor(name?: string);
+  readonly name: string;
+  readonly socketFactory: SocketFactory;
+
+  queue(name: string, vhost?: string): QueueSnapshot | undefined;
+  exchange(name: string, vhost?: string): ExchangeSnapshot | undefined;
+  block(reason?: string): void;
+  unblock(): void;
+  closeConnections(reason?: string): void;
+}
+
+export declare function broker(name?: string): Broker;
+export declare function reset(): void;
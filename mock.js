@@ -0,0 +1,11 @@
+// An in-memory broker for testing applications; connect to it with a
+// URL like `amqp+mock://name/vhost`, where `name` picks the broker.
+// See the README for what's exported.
+
+'use strict';
+
+var mock = require('./lib/mock_broker');
+
+module.exports.Broker = mock.Broker;
+module.exports.broker = mock.broker;
+module.exports.reset = mock.reset;
@@ -6,6 +6,8 @@ var assert = require('assert');
 var Promise = require('bluebird');
 var Channel = require('../lib/channel').Channel;
 var Connection = require('../lib/connection').Connection;
+var CloseTimeoutError = require('../lib/error').CloseTimeoutError;
+var ConfirmTimeoutError = require('../lib/error').ConfirmTimeoutError;
 var util = require('./util');
 var succeed = util.succeed, fail = util.fail, latch = util.latch;
 var completes = util.completes;
@@ -13,6 +15,8 @@ var defs = require('../lib/defs');
 var conn_handshake = require('./connection').connection_handshake;
 var OPEN_OPTS = require('./connection').OPEN_OPTS;
 var Buffer = require('safe-buffer').Buffer;
+var PassThrough = require('stream').PassThrough ||
+  require('readable-stream/passthrough');
 
 var LOG_ERRORS = process.env.LOG_ERRORS;
 
@@ -124,6 +128,33 @@ test("open, close", channelTest(
       }).then(succeed(done), fail(done));
   }));
 
+test("close timeout", channelTest(
+  function(ch, done, conn) {
+    conn.closeTimeout = 10;
+    var all = latch(3, done);
+    // A channel that won't close takes the connection with it; but
+    // it's not an 'error', any more than the connection's own close
+    // timing out is
+    ch.on('close', succeed(all));
+    conn.on('error', function(err) {
+      done(new Error('Unexpected connection error: ' + err.message));
+    });
+    conn.on('close', function(err) {
+      assert(err instanceof CloseTimeoutError);
+      all();
+    });
+    open(ch).then(function() {
+      ch.closeBecause("Bye", defs.constants.REPLY_SUCCESS, function(err) {
+        assert(err instanceof CloseTimeoutError);
+        all();
+      });
+    }, fail(all));
+  },
+  function(send, wait, done, ch) {
+    return wait(defs.ChannelClose)()
+      .then(succeed(done), fail(done));
+  }));
+
 test("server close", channelTest(
   function(ch, done) {
     ch.on('error', function(error) {
@@ -386,6 +417,233 @@ test("publish zero-length message", channelTest(
       .then(succeed(done), fail(done));
   }));
 
+var PUBLISH_FIELDS = {
+  exchange: 'foo', routingKey: 'bar',
+  mandatory: false, immediate: false, ticket: 0
+};
+
+test("refuse headers bigger than frameMax", channelTest(
+  function(ch, done, conn) {
+    conn.frameMax = 4096;
+    open(ch)
+      .then(function() {
+        var sent = 0;
+        assert.throws(function() {
+          ch.sendMessage(PUBLISH_FIELDS, {
+            headers: {foo: Buffer.alloc(5000)}
+          }, Buffer.from('too big'), undefined, function() { sent++; });
+        }, /bigger than the negotiated frame max/);
+        assert.equal(0, sent);
+        ch.sendMessage(PUBLISH_FIELDS, {}, Buffer.from('foobar'),
+                       undefined, function() { sent++; });
+        assert.equal(1, sent);
+      })
+      .then(succeed(done), fail(done));
+  },
+  function(send, wait, done, ch) {
+    wait(defs.BasicPublish)()
+      .then(wait(defs.BasicProperties))
+      .then(wait(undefined)) // content frame
+      .then(function(f) {
+        assert.equal('foobar', f.content.toString());
+      }).then(succeed(done), fail(done));
+  }));
+
+// Collect content frames until there's `size` bytes of content
+function waitForContent(wait, size) {
+  var frames = [];
+  function next(got) {
+    if (got >= size) return Promise.resolve(frames);
+    return wait(undefined)().then(function(f) {
+      frames.push(f.content);
+      return next(got + f.content.length);
+    });
+  }
+  return next(0);
+}
+
+test("publish from a stream", channelTest(
+  function(ch, done, conn) {
+    conn.frameMax = 4096;
+    var stream = new PassThrough();
+    open(ch)
+      .then(function() {
+        var sent = ch.sendStream(PUBLISH_FIELDS, {}, stream, 10000);
+        stream.write(Buffer.alloc(6000, 'a'));
+        stream.end(Buffer.alloc(4000, 'b'));
+        return sent;
+      })
+      .then(succeed(done), fail(done));
+  },
+  function(send, wait, done, ch) {
+    wait(defs.BasicPublish)()
+      .then(wait(defs.BasicProperties))
+      .then(function(f) {
+        assert.equal(10000, f.size);
+        return waitForContent(wait, 10000);
+      })
+      .then(function(frames) {
+        frames.forEach(function(c) {
+          assert(c.length <= 4096 - defs.FRAME_OVERHEAD);
+        });
+        var content = Buffer.concat(frames);
+        assert.equal(10000, content.length);
+        assert.equal('a', content.toString('utf8', 5999, 6000));
+        assert.equal('b', content.toString('utf8', 6000, 6001));
+      })
+      .then(succeed(done), fail(done));
+  }));
+
+test("methods and messages wait for a streamed message", channelTest(
+  function(ch, done) {
+    var stream = new PassThrough();
+    open(ch)
+      .then(function() {
+        var sent = ch.sendStream(PUBLISH_FIELDS, {}, stream, 6);
+        stream.write(Buffer.from('foo'));
+        ch.sendImmediately(defs.BasicAck, {deliveryTag: 1, multiple: false});
+        // held until the streamed message is done; as when the buffer
+        // is full, it says to wait for 'drain'
+        var next = new Promise(function(resolve) {
+          ch.once('drain', resolve);
+        });
+        assert.strictEqual(
+          false, ch.sendMessage(PUBLISH_FIELDS, {}, Buffer.from('next')));
+        setImmediate(function() { stream.end(Buffer.from('bar')); });
+        return Promise.all([sent, next]);
+      })
+      .then(succeed(done), fail(done));
+  },
+  function(send, wait, done, ch) {
+    wait(defs.BasicPublish)()
+      .then(wait(defs.BasicProperties))
+      .then(function() { return waitForContent(wait, 6); })
+      .then(function(frames) {
+        assert.equal('foobar', Buffer.concat(frames).toString());
+      })
+      .then(wait(defs.BasicAck))
+      .then(wait(defs.BasicPublish))
+      .then(wait(defs.BasicProperties))
+      .then(wait(undefined))
+      .then(function(f) {
+        assert.equal('next', f.content.toString());
+      })
+      .then(succeed(done), fail(done));
+  }));
+
+test("pause a content stream while the channel's buffer is full",
+     function() {
+  var full = true, sent = [];
+  var ch = new Channel({
+    blocked: false,
+    sendHeaders: function() {},
+    sendContent: function(channel, chunk) {
+      sent.push(chunk.toString());
+      return !full;
+    }
+  });
+  var stream = new PassThrough();
+  var done = ch.sendStream(PUBLISH_FIELDS, {}, stream, 6);
+  stream.write(Buffer.from('foo'));
+  stream.end(Buffer.from('bar'));
+  return Promise.delay(10)
+    .then(function() {
+      assert(stream.isPaused());
+      assert.deepEqual(['foo'], sent);
+      full = false;
+      ch.emit('drain');
+      return done;
+    })
+    .then(function() {
+      assert.deepEqual(['foo', 'bar'], sent);
+    });
+});
+
+test("wait for the buffer to drain after a message fills it", function() {
+  var full = false;
+  var ch = new Channel({
+    blocked: false,
+    sendMessage: function() { return !full; }
+  });
+  var drained = false;
+  assert(ch.sendMessage(PUBLISH_FIELDS, {}, Buffer.from('foo')));
+  return ch.waitForDrain() // not full, so straight away
+    .then(function() {
+      full = true;
+      assert(!ch.sendMessage(PUBLISH_FIELDS, {}, Buffer.from('bar')));
+      var waiting = ch.waitForDrain().then(function() { drained = true; });
+      return Promise.delay(10).then(function() {
+        assert(!drained);
+        ch.onBufferDrain();
+        return waiting;
+      });
+    })
+    .then(function() {
+      assert(drained);
+    });
+});
+
+test("stop waiting for the buffer to drain if the channel closes",
+     function() {
+  var ch = new Channel({
+    blocked: false,
+    sendMessage: function() { return false; },
+    releaseChannel: function() {}
+  });
+  ch.sendMessage(PUBLISH_FIELDS, {}, Buffer.from('foo'));
+  var waiting = ch.waitForDrain();
+  ch.toClosed();
+  return waiting.then(function() {
+    throw new Error('Expected the wait to be rejected');
+  }, function(err) {
+    assert(/Channel closed/.test(err.message));
+  });
+});
+
+test("content stream of the wrong length", channelTest(
+  function(ch, done, conn) {
+    var errorAndRejected = latch(2, done);
+    conn.on('error', succeed(errorAndRejected));
+    var stream = new PassThrough();
+    open(ch)
+      .then(function() {
+        var sent = ch.sendStream(PUBLISH_FIELDS, {}, stream, 10);
+        stream.end(Buffer.from('short'));
+        return sent;
+      })
+      .then(fail(errorAndRejected), function(err) {
+        assert(/ended after 5 of the 10 bytes/.test(err.message));
+      })
+      .then(succeed(errorAndRejected), fail(errorAndRejected));
+  },
+  function(send, wait, done, ch) {
+    // the close may overtake the message frames, so skip whatever
+    // comes before it
+    function untilClose() {
+      return wait()().then(function(f) {
+        if (f.id !== defs.ConnectionClose) return untilClose();
+      });
+    }
+    untilClose()
+      .then(function() {
+        send(defs.ConnectionCloseOk, {});
+      })
+      .then(succeed(done), fail(done));
+  }));
+
+test("content length must be given", channelTest(
+  function(ch, done) {
+    completes(function() {
+      open(ch);
+      assert.throws(function() {
+        ch.sendStream(PUBLISH_FIELDS, {}, new PassThrough());
+      }, TypeError);
+    }, done);
+  },
+  function(send, wait, done, ch) {
+    done();
+  }));
+
 test("delivery", channelTest(
   function(ch, done) {
     open(ch);
@@ -555,6 +813,54 @@ test("cancel", channelTest(
     }, done);
   }));
 
+test("streamed content is cut short by the channel closing", function() {
+  var ch = new Channel({releaseChannel: function() {}});
+  ch.streamsContent = function() { return true; };
+  var delivered = new Promise(function(resolve) {
+    ch.on('delivery', resolve);
+  });
+  ch.acceptMessageFrame({id: defs.BasicDeliver, fields: DELIVER_FIELDS});
+  ch.acceptMessageFrame({id: defs.BasicProperties, fields: {}, size: 8});
+  ch.acceptMessageFrame({content: Buffer.from('half')});
+  return delivered.then(function(m) {
+    var errored = new Promise(function(resolve) {
+      m.content.on('error', resolve);
+    });
+    ch.toClosed();
+    return errored;
+  }).then(function(err) {
+    assert(/before message content was complete/.test(err.message));
+    assert.equal(0, ch.unendedContent);
+  });
+});
+
+(typeof BigInt === 'function' ? test : test.skip)(
+  "delivery and confirm tags as BigInt", channelTest(
+  function(ch, done, conn) {
+    conn.useBigInt = true;
+    var deliveredAndConfirmed = latch(2, done);
+    ch.on('delivery', function(m) {
+      completes(function() {
+        assert.strictEqual('bigint', typeof m.fields.deliveryTag);
+      }, deliveredAndConfirmed);
+    });
+    open(ch)
+      .then(function() {
+        ch.pushConfirmCallback(function(err) {
+          completes(function() {
+            assert.strictEqual(null, err);
+            assert.equal(2, ch.lwm);
+          }, deliveredAndConfirmed);
+        });
+      });
+  },
+  function(send, wait, done, ch) {
+    completes(function() {
+      send(defs.BasicDeliver, DELIVER_FIELDS, ch, Buffer.from('foo'));
+      send(defs.BasicAck, {deliveryTag: 1, multiple: false}, ch);
+    }, done);
+  }));
+
 function confirmTest(variety, Method) {
   return test('confirm ' + variety, channelTest(
     function(ch, done) {
@@ -621,4 +927,329 @@ test("not all out-of-order acks", channelTest(
     }, done);
   }));
 
+test("give up on a confirm after the timeout", function() {
+  var ch = new Channel({}, {confirmTimeout: 20});
+  var outcomes = [];
+  function record(tag) {
+    return function(err) { outcomes.push([tag, err]); };
+  }
+  ch.pushConfirmCallback(record(1));
+  ch.pushConfirmCallback(record(2), 1000); // longer than the default
+  ch.pushConfirmCallback(record(3));
+  ch.emit('ack', {deliveryTag: 3, multiple: false});
+  return Promise.delay(40).then(function() {
+    assert.equal(2, outcomes.length);
+    assert.deepEqual([3, null], outcomes[0]);
+    assert.equal(1, outcomes[1][0]);
+    assert(outcomes[1][1] instanceof ConfirmTimeoutError);
+    assert.equal(20, outcomes[1][1].timeout);
+    // an answer after giving up goes nowhere, but still moves the
+    // window along
+    ch.emit('ack', {deliveryTag: 1, multiple: false});
+    assert.equal(2, outcomes.length);
+    assert.equal(2, ch.lwm);
+    ch.emit('nack', {deliveryTag: 2, multiple: false});
+    assert.equal(3, outcomes.length);
+    assert.equal(2, outcomes[2][0]);
+    assert(/nacked/.test(outcomes[2][1].message));
+    assert.equal(0, ch.unconfirmed.length);
+    assert.equal(4, ch.lwm);
+  });
+});
+
+test("unconfirmed messages get the error the server closed with",
+     channelTest(
+  function(ch, done) {
+    var both = latch(2, done);
+    ch.on('error', succeed(both));
+    ch.pushConfirmCallback(function(err) {
+      completes(function() {
+        assert.strictEqual(defs.constants.PRECONDITION_FAILED, err.code);
+      }, both);
+    });
+    open(ch);
+  },
+  function(send, wait, done, ch) {
+    send(defs.ChannelClose, {
+      replyText: 'Nope',
+      replyCode: defs.constants.PRECONDITION_FAILED,
+      classId: 0, methodId: 0
+    }, ch);
+    wait(defs.ChannelCloseOk)()
+      .then(succeed(done), fail(done));
+  }));
+
+test("unconfirmed messages are rejected when the channel is closed",
+     channelTest(
+  function(ch, done) {
+    var confirmed = 0, refused = [];
+    function cb(err) {
+      if (err === null) confirmed++;
+      else refused.push(err);
+    }
+    ch.pushConfirmCallback(cb);
+    ch.pushConfirmCallback(cb);
+    open(ch).then(function() {
+      ch.closeBecause('Bye', defs.constants.REPLY_SUCCESS);
+      ch.on('close', function() {
+        completes(function() {
+          assert.equal(1, confirmed);
+          assert.equal(1, refused.length);
+          assert(/closed before message was confirmed/.test(
+            refused[0].message));
+        }, done);
+      });
+    });
+  },
+  function(send, wait, done, ch) {
+    wait(defs.ChannelClose)()
+      .then(function() {
+        // the first is confirmed while the channel is closing
+        send(defs.BasicAck, {deliveryTag: 1, multiple: false}, ch);
+        send(defs.ChannelCloseOk, {}, ch);
+      })
+      .then(succeed(done), fail(done));
+  }));
+
+});
+
+suite("publishing while blocked", function() {
+
+var PUBLISH = {
+  exchange: 'foo', routingKey: 'bar',
+  mandatory: false, immediate: false, ticket: 0
+};
+
+function publish(ch, body, whenBlocked, onSend) {
+  return ch.sendMessage(PUBLISH, {}, Buffer.from(body),
+                        whenBlocked, onSend);
+}
+
+// Open the channel, then have the server block the connection
+function blockedTest(client, server) {
+  return channelTest(
+    function(ch, done, conn) {
+      // Frames on channel 0 skip the muxer, so the connection may be
+      // blocked before the channel is open
+      var ready = latch(2, function(err) {
+        if (err) return done(err);
+        completes(function() {
+          assert(conn.blocked);
+          assert.equal('low on memory', conn.blockedReason);
+        }, function(err) {
+          if (err) done(err);
+          else client(ch, done, conn);
+        });
+      });
+      conn.once('blocked', succeed(ready));
+      open(ch).then(succeed(ready), fail(ready));
+    },
+    function(send, wait, done, ch) {
+      send(defs.ConnectionBlocked, {reason: 'low on memory'}, 0);
+      return server(send, wait, done, ch);
+    });
+}
+
+// Expect a message with the body given
+function waitForMessage(wait, body) {
+  return wait(defs.BasicPublish)()
+    .then(wait(defs.BasicProperties))
+    .then(wait(undefined))
+    .then(function(f) {
+      assert.equal(body, f.content.toString());
+    });
+}
+
+test("reject", blockedTest(
+  function(ch, done, conn) {
+    assert.throws(function() { publish(ch, 'foo', 'reject'); });
+    done();
+  },
+  function(send, wait, done) {
+    done();
+  }));
+
+test("buffer up to a limit", blockedTest(
+  function(ch, done, conn) {
+    conn.blockedPolicy.bufferLimit = 1;
+    completes(function() {
+      assert.strictEqual(true, publish(ch, 'one'));
+      assert.throws(function() { publish(ch, 'two'); });
+    }, done);
+  },
+  function(send, wait, done) {
+    return waitForMessage(wait, 'one').then(succeed(done));
+  }));
+
+test("wait until unblocked", blockedTest(
+  function(ch, done, conn) {
+    var sent = [];
+    var first = publish(ch, 'one', 'wait', function() { sent.push(1); });
+    // this would be sent immediately, but has to wait behind the first
+    var second = publish(ch, 'two', 'buffer', function() { sent.push(2); });
+    assert.equal(0, sent.length);
+    Promise.all([first, second]).then(function() {
+      assert.deepEqual([1, 2], sent);
+      assert(!conn.blocked);
+    }).then(succeed(done), fail(done));
+  },
+  function(send, wait, done) {
+    // give the client a chance to publish first
+    setTimeout(function() {
+      send(defs.ConnectionUnblocked, {}, 0);
+    }, 20);
+    return waitForMessage(wait, 'one')
+      .then(function() { return waitForMessage(wait, 'two'); })
+      .then(succeed(done));
+  }));
+
+test("blocked for too long", blockedTest(
+  function(ch, done, conn) {
+    conn.blockedPolicy.maxDuration = 10;
+    // the timer starts when the connection is blocked, so block it
+    // again to pick up the new setting
+    conn.toBlocked('low on memory');
+    var both = latch(2, done);
+    conn.on('error', function(err) {
+      assert.strictEqual(false, err.closesConnection);
+      both();
+    });
+    publish(ch, 'one', 'wait', function(err) {
+      if (!err) both(new Error('Message should not be sent'));
+    }).then(fail(both), succeed(both));
+  },
+  function(send, wait, done) {
+    done();
+  }));
+
+test("refused once blocked for too long", blockedTest(
+  function(ch, done, conn) {
+    conn.blockedPolicy.maxDuration = 10;
+    conn.toBlocked('low on memory');
+    conn.on('error', function() {
+      completes(function() {
+        // no promise is returned to be rejected: it's thrown, as with
+        // the policy 'reject' ..
+        assert.throws(function() { publish(ch, 'one', 'wait'); },
+                      /blocked for more than 10ms/);
+        // .. or, if there's a confirm callback, given to that
+        var told = null;
+        assert.strictEqual(false, publish(ch, 'two', 'wait', function(err) {
+          told = err;
+        }));
+        assert(/blocked for more than 10ms/.test(told.message));
+      }, done);
+    });
+  },
+  function(send, wait, done) {
+    done();
+  }));
+
+test("wait while the server has turned flow off", channelTest(
+  function(ch, done) {
+    var flows = [];
+    ch.on('flow', function(active) {
+      flows.push(active);
+      if (!active) {
+        // held, and to be waited for as though the buffer were full
+        assert.strictEqual(false, publish(ch, 'one', 'buffer'));
+        ch.once('drain', function() {
+          completes(function() {
+            assert.deepEqual([false, true], flows);
+          }, done);
+        });
+      }
+    });
+    open(ch).then(null, fail(done));
+  },
+  function(send, wait, done, ch) {
+    send(defs.ChannelFlow, {active: false}, ch);
+    return wait(defs.ChannelFlowOk)()
+      .then(function(f) {
+        assert.strictEqual(false, f.fields.active);
+        // give the client a chance to publish
+        setTimeout(function() {
+          send(defs.ChannelFlow, {active: true}, ch);
+        }, 20);
+      })
+      .then(wait(defs.ChannelFlowOk))
+      .then(function(f) {
+        assert.strictEqual(true, f.fields.active);
+        return waitForMessage(wait, 'one');
+      })
+      .then(succeed(done));
+  }));
+
+test("held messages keep the policy they were published with",
+     channelTest(
+  function(ch, done, conn) {
+    ch.on('flow', function(active) {
+      if (active) return;
+      // held while flow is off; by the time it's back on, the
+      // connection is blocked, so the message waits for that too
+      assert.strictEqual(false, publish(ch, 'one', 'wait', function(err) {
+        completes(function() {
+          assert(!err);
+          assert(!conn.blocked);
+        }, done);
+      }));
+    });
+    open(ch).then(null, fail(done));
+  },
+  function(send, wait, done, ch) {
+    send(defs.ChannelFlow, {active: false}, ch);
+    return wait(defs.ChannelFlowOk)()
+      .then(function() {
+        send(defs.ConnectionBlocked, {reason: 'low on memory'}, 0);
+        setTimeout(function() {
+          send(defs.ChannelFlow, {active: true}, ch);
+        }, 10);
+      })
+      .then(wait(defs.ChannelFlowOk))
+      .then(function() {
+        setTimeout(function() {
+          send(defs.ConnectionUnblocked, {}, 0);
+        }, 20);
+        return waitForMessage(wait, 'one');
+      })
+      .then(succeed(done));
+  }));
+
+test("held while flow is off when the channel closes", channelTest(
+  function(ch, done) {
+    var both = latch(2, done);
+    ch.on('flow', function(active) {
+      // no promise to go unhandled; the confirm callback is told
+      assert.strictEqual(false, publish(ch, 'one', 'buffer', function(err) {
+        completes(function() {
+          assert(/Channel closed/.test(err.message));
+        }, both);
+      }));
+      ch.closeBecause('Bye', defs.constants.REPLY_SUCCESS);
+    });
+    ch.on('close', succeed(both));
+    open(ch).then(null, fail(done));
+  },
+  function(send, wait, done, ch) {
+    send(defs.ChannelFlow, {active: false}, ch);
+    return wait(defs.ChannelFlowOk)()
+      .then(wait(defs.ChannelClose))
+      .then(function() {
+        send(defs.ChannelCloseOk, {}, ch);
+      }).then(succeed(done));
+  }));
+
+test("waiting when the channel closes", blockedTest(
+  function(ch, done, conn) {
+    var waiting = publish(ch, 'one', 'wait');
+    ch.closeBecause('Bye', defs.constants.REPLY_SUCCESS);
+    waiting.then(fail(done), succeed(done));
+  },
+  function(send, wait, done, ch) {
+    return wait(defs.ChannelClose)()
+      .then(function() {
+        send(defs.ChannelCloseOk, {}, ch);
+      }).then(succeed(done));
+  }));
+
 });
@@ -582,3 +582,420 @@ confirmtest('wait for confirms', function(ch) {
 })
 
 });
+
+// Connect to a fake server that advertises the capabilities given
+// (or, if `capabilities` is null, sends no capabilities table),
+// opens a channel when asked, then runs `server(send, wait, ch)` if
+// supplied. If the server doesn't get what it expects, the client's
+// socket errors.
+function connectFake(capabilities, server) {
+  var defs = require('../lib/defs');
+  var pair = util.socketPair();
+  var serverProperties = {product: 'FakeMQ'};
+  if (capabilities !== null) serverProperties.capabilities = capabilities;
+  function factory(options, onConnect) {
+    schedule(onConnect);
+    return pair.client;
+  }
+  pair.server.once('readable', function() {
+    pair.server.read(8); // the protocol header
+    util.runServer(pair.server, function(send, wait) {
+      send(defs.ConnectionStart,
+           {versionMajor: 0,
+            versionMinor: 9,
+            serverProperties: serverProperties,
+            mechanisms: Buffer.from('PLAIN'),
+            locales: Buffer.from('en_US')});
+      wait(defs.ConnectionStartOk)()
+        .then(function() {
+          send(defs.ConnectionTune,
+               {channelMax: 2047, frameMax: 131072, heartbeat: 0});
+        })
+        .then(wait(defs.ConnectionTuneOk))
+        .then(wait(defs.ConnectionOpen))
+        .then(function() {
+          send(defs.ConnectionOpenOk, {knownHosts: ''});
+        })
+        .then(wait(defs.ChannelOpen))
+        .then(function(f) {
+          send(defs.ChannelOpenOk, {channelId: Buffer.from('')}, f.channel);
+          if (server) return server(send, wait, f.channel);
+        })
+        .then(null, function(err) {
+          // so that whatever the client is waiting for fails
+          pair.client.emit('error', err);
+        });
+    });
+  });
+  return api.connect('amqp://fake', {socketFactory: factory});
+}
+
+suite("server properties and capabilities", function() {
+
+test("server properties and negotiated values", function() {
+  return connectFake({'basic.nack': true}).then(function(c) {
+    assert.equal('FakeMQ', c.serverProperties.product);
+    assert.deepEqual({channelMax: 2047, frameMax: 4096, heartbeat: 0},
+                     c.negotiated);
+    assert(c.supports('basic.nack'));
+    assert(!c.supports('publisher_confirms'));
+  });
+});
+
+function rejectsWith(p, pattern) {
+  return p.then(function() {
+    throw new Error('Expected rejection');
+  }, function(err) {
+    assert(pattern.test(err.message), err.message);
+  });
+}
+
+test("operations needing a capability fail early", function() {
+  return connectFake({'basic.nack': true}).then(function(c) {
+    return rejectsWith(c.createConfirmChannel(),
+                       /createConfirmChannel is not supported/)
+      .then(function() { return c.createChannel(); })
+      .then(function(ch) {
+        // this one is advertised
+        ch.nack({fields: {deliveryTag: 1}});
+        return Promise.all([
+          rejectsWith(ch.bindExchange('dest', 'src', ''),
+                      /exchange_exchange_bindings/),
+          rejectsWith(ch.unbindExchange('dest', 'src', ''),
+                      /exchange_exchange_bindings/),
+          rejectsWith(ch.consume('q', function() {},
+                                 {requireCancelNotify: true}),
+                      /consumer_cancel_notify/)
+        ]);
+      });
+  });
+});
+
+test("no capabilities table means nothing is refused", function() {
+  var defs = require('../lib/defs');
+  return connectFake(null, function(send, wait, ch) {
+    return wait(defs.ConfirmSelect)()
+      .then(function() { send(defs.ConfirmSelectOk, {}, ch); })
+      .then(wait(defs.BasicNack))
+      .then(wait(defs.BasicConsume))
+      .then(function() {
+        send(defs.BasicConsumeOk, {consumerTag: 'ctag'}, ch);
+      });
+  }).then(function(c) {
+    // it can't be said to advertise anything ..
+    assert(!c.supports('publisher_confirms'));
+    // .. but nor does it rule anything out
+    return c.createConfirmChannel().then(function(ch) {
+      ch.nack({fields: {deliveryTag: 1}});
+      return ch.consume('q', function() {}, {requireCancelNotify: true});
+    }).then(function(ok) {
+      assert.equal('ctag', ok.consumerTag);
+    });
+  });
+});
+
+test("operations needing a capability fail early (callbacks)", function() {
+  var CallbackModel = require('../lib/callback_model').CallbackModel;
+  return connectFake({}).then(function(c) {
+    var cbm = new CallbackModel(c.connection);
+    function fails(call, pattern) {
+      return Promise.fromCallback(call).then(function() {
+        throw new Error('Expected an error');
+      }, function(err) {
+        assert(pattern.test(err.message), err.message);
+      });
+    }
+    return fails(function(cb) { cbm.createConfirmChannel(cb); },
+                 /createConfirmChannel is not supported/)
+      .then(function() {
+        return Promise.fromCallback(function(cb) { cbm.createChannel(cb); });
+      })
+      .then(function(ch) {
+        return Promise.all([
+          fails(function(cb) { ch.bindExchange('dest', 'src', '', {}, cb); },
+                /exchange_exchange_bindings/),
+          fails(function(cb) { ch.unbindExchange('dest', 'src', '', {}, cb); },
+                /exchange_exchange_bindings/),
+          fails(function(cb) {
+            ch.consume('q', function() {}, {requireCancelNotify: true}, cb);
+          }, /consumer_cancel_notify/)
+        ]);
+      });
+  });
+});
+
+});
+
+suite("drain", function() {
+
+var defs = require('../lib/defs');
+
+var DELIVER = {
+  consumerTag: 'ctag', deliveryTag: 1, redelivered: false,
+  exchange: '', routingKey: 'q'
+};
+
+function consumeAndDeliver(send, wait, ch) {
+  return wait(defs.BasicConsume)()
+    .then(function() {
+      send(defs.BasicConsumeOk, {consumerTag: 'ctag'}, ch);
+      send(defs.BasicDeliver, DELIVER, ch, Buffer.from('work'));
+    });
+}
+
+function closeConnection(send, wait) {
+  return wait(defs.ConnectionClose)()
+    .then(function() { send(defs.ConnectionCloseOk, {}); });
+}
+
+test("cancel, wait for handlers and confirms, then close", function() {
+  var events = [];
+  function server(send, wait, ch) {
+    return wait(defs.ConfirmSelect)()
+      .then(function() {
+        send(defs.ConfirmSelectOk, {}, ch);
+        return consumeAndDeliver(send, wait, ch);
+      })
+      .then(wait(defs.BasicPublish))
+      .then(wait(defs.BasicProperties))
+      .then(wait(undefined))
+      .then(wait(defs.BasicCancel))
+      .then(function() {
+        events.push('cancelled');
+        send(defs.BasicCancelOk, {consumerTag: 'ctag'}, ch);
+        setTimeout(function() {
+          send(defs.BasicAck, {deliveryTag: 1, multiple: false}, ch);
+        }, 10);
+      })
+      .then(function() { return closeConnection(send, wait); });
+  }
+
+  return connectFake({publisher_confirms: true}, server).then(function(c) {
+    return c.createConfirmChannel().then(function(ch) {
+      var delivered = new Promise(function(resolve) {
+        ch.consume('q', function(msg) {
+          resolve();
+          return Promise.delay(20).then(function() {
+            events.push('handled');
+          });
+        });
+      });
+      ch.sendToQueue('q', Buffer.from('result'), {}, function(err) {
+        if (err === null) events.push('confirmed');
+      });
+      var closed = new Promise(function(resolve) {
+        c.on('close', resolve);
+      });
+      return delivered
+        .then(function() { return c.drain(); })
+        .then(function() {
+          assert.equal('cancelled', events[0]);
+          assert.deepEqual(['confirmed', 'handled'], events.slice(1).sort());
+          return closed;
+        });
+    });
+  });
+});
+
+test("deadline", function() {
+  function server(send, wait, ch) {
+    return consumeAndDeliver(send, wait, ch)
+      .then(wait(defs.BasicCancel))
+      .then(function() {
+        send(defs.BasicCancelOk, {consumerTag: 'ctag'}, ch);
+        return closeConnection(send, wait);
+      });
+  }
+
+  return connectFake({}, server).then(function(c) {
+    var closed = false;
+    c.on('close', function() { closed = true; });
+    return c.createChannel().then(function(ch) {
+      var delivered = new Promise(function(resolve) {
+        ch.consume('q', function(msg) {
+          resolve();
+          return new Promise(function() {}); // never finishes
+        });
+      });
+      return delivered
+        .then(function() {
+          return expectFail(c.drain({timeout: 30}));
+        })
+        .then(function(err) {
+          assert(err instanceof Promise.TimeoutError);
+          assert(closed);
+        });
+    });
+  });
+});
+
+test("deadline passed just as everything settles", function() {
+  var drainDeadline = require('../lib/channel_model').drainDeadline;
+  // everything has settled, but only after the deadline (and before
+  // the timer for it has fired)
+  var started = Date.now() - 40;
+  return expectFail(drainDeadline(Promise.resolve(), 30, started))
+    .then(function(err) {
+      assert(err instanceof Promise.TimeoutError);
+      return drainDeadline(Promise.resolve(), 10000, Date.now());
+    });
+});
+
+test("drain with callbacks", function() {
+  var CallbackModel = require('../lib/callback_model').CallbackModel;
+  var handled = false;
+  function server(send, wait, ch) {
+    return consumeAndDeliver(send, wait, ch)
+      .then(wait(defs.BasicCancel))
+      .then(function() {
+        send(defs.BasicCancelOk, {consumerTag: 'ctag'}, ch);
+        return closeConnection(send, wait);
+      });
+  }
+
+  return connectFake({}, server).then(function(c) {
+    var cbm = new CallbackModel(c.connection);
+    return Promise.fromCallback(function(cb) { cbm.createChannel(cb); })
+      .then(function(ch) {
+        return new Promise(function(resolve) {
+          ch.consume('q', function(msg) {
+            resolve();
+            return Promise.delay(20).then(function() { handled = true; });
+          });
+        });
+      })
+      .then(function() {
+        return Promise.fromCallback(function(cb) {
+          cbm.drain({timeout: 1000}, cb);
+        });
+      })
+      .then(function() {
+        assert(handled);
+      });
+  });
+});
+
+});
+
+suite("streaming content", function() {
+
+var defs = require('../lib/defs');
+
+var DELIVER = {
+  consumerTag: 'ctag', deliveryTag: 1, redelivered: false,
+  exchange: '', routingKey: 'q'
+};
+
+// Deliver `content`, then resolve `server.acked` once it's been
+// acknowledged
+function deliverAndWaitForAck(content) {
+  var acked;
+  function server(send, wait, ch) {
+    acked = wait(defs.BasicConsume)()
+      .then(function() {
+        send(defs.BasicConsumeOk, {consumerTag: 'ctag'}, ch);
+        send(defs.BasicDeliver, DELIVER, ch, content);
+      })
+      .then(wait(defs.BasicAck));
+    acked
+      .then(wait(defs.ConnectionClose))
+      .then(function() { send(defs.ConnectionCloseOk, {}); });
+  }
+  server.acked = function() { return acked; };
+  return server;
+}
+
+function readAll(stream) {
+  return new Promise(function(resolve, reject) {
+    var chunks = [];
+    stream.on('data', function(c) { chunks.push(c); });
+    stream.on('end', function() { resolve(chunks); });
+    stream.on('error', reject);
+  });
+}
+
+test("content arrives as a stream; ack after the end", function() {
+  // bigger than a frame, so it comes in pieces
+  var body = Buffer.alloc(10000, 'x');
+  var server = deliverAndWaitForAck(body);
+  return connectFake({}, server).then(function(c) {
+    return c.createChannel().then(function(ch) {
+      return new Promise(function(resolve, reject) {
+        ch.consume('q', function(msg) {
+          assert.equal(10000, msg.content.size);
+          assert.throws(function() { ch.ack(msg); }, /stream has ended/);
+          assert.throws(function() { ch.ackAll(); }, /stream has ended/);
+          readAll(msg.content).then(function(chunks) {
+            assert(chunks.length > 1);
+            assert.deepEqual(body, Buffer.concat(chunks));
+            ch.ack(msg);
+          }).then(resolve, reject);
+        }, {streamContent: true});
+      }).then(server.acked).then(function(f) {
+        assert.equal(1, f.fields.deliveryTag);
+        return c.close();
+      });
+    });
+  });
+});
+
+test("publish from a stream, with confirmation", function() {
+  var PassThrough = require('stream').PassThrough;
+  function server(send, wait, ch) {
+    return wait(defs.ConfirmSelect)()
+      .then(function() {
+        send(defs.ConfirmSelectOk, {}, ch);
+      })
+      .then(wait(defs.BasicPublish))
+      .then(wait(defs.BasicProperties))
+      .then(function(f) {
+        assert.equal(6, f.size);
+        assert.equal('text/plain', f.fields.contentType);
+      })
+      .then(wait(undefined))
+      .then(wait(undefined))
+      .then(function(f) {
+        assert.equal('bar', f.content.toString());
+        send(defs.BasicAck, {deliveryTag: 1, multiple: false}, ch);
+      })
+      .then(wait(defs.ConnectionClose))
+      .then(function() { send(defs.ConnectionCloseOk, {}); });
+  }
+
+  return connectFake({publisher_confirms: true}, server).then(function(c) {
+    return c.createConfirmChannel().then(function(ch) {
+      var stream = new PassThrough();
+      assert.throws(function() {
+        ch.publishStream('', 'q', stream, {});
+      }, TypeError);
+      var confirmed = new Promise(function(resolve, reject) {
+        ch.publishStream('', 'q', stream, {
+          contentLength: 6, contentType: 'text/plain'
+        }, function(err) {
+          if (err === null) resolve(); else reject(err);
+        });
+      });
+      stream.write(Buffer.from('foo'));
+      setImmediate(function() { stream.end(Buffer.from('bar')); });
+      return confirmed.then(function() { return c.close(); });
+    });
+  });
+});
+
+test("zero-length content", function() {
+  var server = deliverAndWaitForAck(Buffer.alloc(0));
+  return connectFake({}, server).then(function(c) {
+    return c.createChannel().then(function(ch) {
+      return new Promise(function(resolve, reject) {
+        ch.consume('q', function(msg) {
+          readAll(msg.content).then(function(chunks) {
+            assert.equal(0, chunks.length);
+            ch.ack(msg);
+          }).then(resolve, reject);
+        }, {streamContent: true});
+      }).then(server.acked).then(function() { return c.close(); });
+    });
+  });
+});
+
+});
@@ -58,6 +58,16 @@ var testCases = [
      [7,100,101,99,105,109,97,108,68,2,0,0,9,41]],
     ['float', {float: {'!': 'float', value: 0.1}},
      [5,102,108,111,97,116,102,61,204,204,205]],
+    ['negative decimal', {decimal: {'!': 'decimal', value: {digits: -2345, places: 2}}},
+     [7,100,101,99,105,109,97,108,68,2,255,255,246,215]],
+
+    // unsigned integers, which can only be had explicitly
+    ['uint8', {uint8: {'!': 'uint8', value: 255}},
+     [5,117,105,110,116,56,66,255]],
+    ['uint16', {uint16: {'!': 'uint16', value: 0xffff}},
+     [6,117,105,110,116,49,54,117,255,255]],
+    ['uint32', {uint32: {'!': 'uint32', value: 0xffffffff}},
+     [6,117,105,110,116,51,50,105,255,255,255,255]],
 ];
 
 function bufferToArray(b) {
@@ -77,6 +87,37 @@ suite("Implicit encodings", function() {
   });
 });
 
+// Tags that I decode, but never encode (or not with these meanings);
+// see the comment at the top of lib/codec.js
+var decodeOnlyCases = [
+  ["'U' signed short, from the spec", [85,255,127], -129],
+  ["'L' signed long long, from the spec",
+   [76,255,255,255,255,127,255,255,255], -0x80000001],
+  ["'u' unsigned short", [117,128,0], 0x8000],
+  ["'i' unsigned int", [105,128,0,0,0], 0x80000000],
+  ["'B' unsigned byte", [66,200], 200],
+  ["'D' decimal, signed", [68,1,255,255,255,255],
+   {'!': 'decimal', value: {places: 1, digits: -1}}],
+];
+
+suite("Decoding other tags", function() {
+
+  decodeOnlyCases.forEach(function(tc) {
+    var name = tc[0], bytes = tc[1], expect = tc[2];
+    test(name, function() {
+      // a single field with the key 'v'
+      var slice = Buffer.from([1, 118].concat(bytes));
+      assert.deepEqual({v: expect}, codec.decodeFields(slice));
+    });
+  });
+
+  test("unknown tag", function() {
+    assert.throws(function() {
+      codec.decodeFields(Buffer.from([1, 118, 90]));
+    }, /Unexpected type tag "Z"/);
+  });
+});
+
 // Whole frames
 
 var amqp = require('./data');
@@ -110,6 +151,9 @@ suite("Roundtrip values", function() {
     amqp.Bit,
     amqp.Decimal,
     amqp.Timestamp,
+    amqp.ExUInt8,
+    amqp.ExUInt16,
+    amqp.ExUInt32,
     amqp.Double,
     amqp.Float,
     amqp.FieldArray,
@@ -236,3 +280,152 @@ suite("Roundtrip properties", function() {
          roundtripProperties(Properties).asTest());
   });
 });
+
+// BigInt is only in newer runtimes, so I avoid the literal syntax
+var maybeSuite = (typeof BigInt === 'function') ? suite : suite.skip;
+
+maybeSuite("BigInt values", function() {
+
+  // 2^53 + 1, which can't be represented as a JS number
+  var BIG = '9007199254740993';
+
+  function encodeAndDecode(table, bigint) {
+    var buf = Buffer.alloc(1000);
+    var size = codec.encodeTable(buf, table, 0);
+    return codec.decodeFields(buf.slice(4, size), bigint);
+  }
+
+  test("encode BigInt as long", function() {
+    var buffer = Buffer.alloc(1000);
+    var size = codec.encodeTable(buffer, {long: BigInt(BIG)}, 0);
+    assert.deepEqual([4,108,111,110,103,108,0,32,0,0,0,0,0,1],
+                     bufferToArray(buffer.slice(4, size)));
+  });
+
+  test("encode BigInt as timestamp", function() {
+    var buffer = Buffer.alloc(1000);
+    var size = codec.encodeTable(buffer, {
+      timestamp: {'!': 'timestamp', value: BigInt(1357212277527)}
+    }, 0);
+    assert.deepEqual([9,116,105,109,101,115,116,97,109,112,84,
+                      0,0,1,60,0,39,219,23],
+                     bufferToArray(buffer.slice(4, size)));
+  });
+
+  test("decode longs and timestamps as BigInt", function() {
+    var decoded = encodeAndDecode({
+      long: BigInt(BIG),
+      negative: BigInt('-' + BIG),
+      stamp: {'!': 'timestamp', value: BigInt(BIG)},
+      nested: {long: BigInt(BIG)},
+      array: [BigInt(BIG)],
+      small: 5
+    }, true);
+    assert.strictEqual(BigInt(BIG), decoded.long);
+    assert.strictEqual(BigInt('-' + BIG), decoded.negative);
+    assert.strictEqual(BigInt(BIG), decoded.stamp.value);
+    assert.strictEqual(BigInt(BIG), decoded.nested.long);
+    assert.strictEqual(BigInt(BIG), decoded.array[0]);
+    assert.strictEqual(5, decoded.small);
+  });
+
+  test("decode longs as numbers by default", function() {
+    var decoded = encodeAndDecode({long: BigInt(0x80000000)});
+    assert.strictEqual(0x80000000, decoded.long);
+  });
+
+  test("longlong method fields", function() {
+    var buf = defs.encodeMethod(defs.BasicAck, 0, {
+      deliveryTag: BigInt(BIG), multiple: false
+    });
+    var fields = defs.decode(defs.BasicAck, buf.slice(11), true);
+    assert.strictEqual(BigInt(BIG), fields.deliveryTag);
+    fields = defs.decode(defs.BasicAck, buf.slice(11));
+    assert.strictEqual('number', typeof fields.deliveryTag);
+  });
+
+  test("timestamp properties and header tables", function() {
+    var buf = defs.encodeProperties(defs.BasicProperties, 0, 10, {
+      timestamp: BigInt(BIG),
+      headers: {seq: BigInt(BIG)}
+    });
+    var fields = defs.decode(defs.BasicProperties, buf.slice(19), true);
+    assert.strictEqual(BigInt(BIG), fields.timestamp);
+    assert.strictEqual(BigInt(BIG), fields.headers.seq);
+  });
+});
+
+suite("Date values", function() {
+
+  // 2013-01-03T11:24:37Z; timestamps are in seconds, so the
+  // milliseconds get dropped
+  var DATE = new Date(1357212277527);
+  var SECONDS = 1357212277;
+
+  test("encode Date as timestamp", function() {
+    var buffer = Buffer.alloc(1000);
+    var size = codec.encodeTable(buffer, {timestamp: DATE}, 0);
+    assert.deepEqual([9,116,105,109,101,115,116,97,109,112,84,
+                      0,0,0,0,80,229,106,117],
+                     bufferToArray(buffer.slice(4, size)));
+    var again = Buffer.alloc(1000);
+    codec.encodeTable(again, {
+      timestamp: {'!': 'timestamp', value: DATE}
+    }, 0);
+    assert.deepEqual(buffer.slice(0, size), again.slice(0, size));
+  });
+
+  test("decode timestamps as Dates", function() {
+    var buf = Buffer.alloc(1000);
+    var size = codec.encodeTable(buf, {
+      at: DATE, nested: {at: DATE}
+    }, 0);
+    var decoded = codec.decodeFields(buf.slice(4, size), false, true);
+    assert(decoded.at instanceof Date);
+    assert.equal(SECONDS * 1000, decoded.at.getTime());
+    assert.equal(SECONDS * 1000, decoded.nested.at.getTime());
+    decoded = codec.decodeFields(buf.slice(4, size));
+    assert.deepEqual({'!': 'timestamp', value: SECONDS}, decoded.at);
+  });
+
+  test("timestamp property", function() {
+    var fields = require('../lib/api_args').publish('', '', {
+      timestamp: DATE
+    });
+    assert.equal(SECONDS, fields.timestamp);
+    var buf = defs.encodeProperties(defs.BasicProperties, 0, 10, fields);
+    var props = defs.decode(defs.BasicProperties, buf.slice(19),
+                            false, true);
+    assert(props.timestamp instanceof Date);
+    assert.equal(SECONDS * 1000, props.timestamp.getTime());
+    props = defs.decode(defs.BasicProperties, buf.slice(19));
+    assert.equal(SECONDS, props.timestamp);
+  });
+});
+
+suite("Encoding sizes", function() {
+
+  test("tableSize is the encoded size", forAll(amqp.FieldTable)
+       .satisfy(function(t) {
+         var buf = Buffer.alloc(4096);
+         return codec.tableSize(t) === codec.encodeTable(buf, t, 0);
+       }).asTest());
+
+  test("tables bigger than the scratch buffer", function() {
+    var headers = {big: new Array(20001).join('x'),
+                   bigger: Buffer.alloc(20000, 'y')};
+    var buf = defs.encodeProperties(defs.BasicProperties, 0, 10, {
+      headers: headers
+    });
+    var props = defs.decode(defs.BasicProperties, buf.slice(19));
+    assert.equal(headers.big, props.headers.big);
+    assert.deepEqual(headers.bigger, props.headers.bigger);
+
+    var frame = defs.encodeMethod(defs.QueueDeclare, 0, {
+      queue: 'foo', arguments: headers
+    });
+    var fields = defs.decode(defs.QueueDeclare, frame.slice(11));
+    assert.equal('foo', fields.queue);
+    assert.equal(headers.big, fields.arguments.big);
+  });
+});
@@ -4,6 +4,8 @@ var assert = require('assert');
 var defs = require('../lib/defs');
 var Buffer = require('safe-buffer').Buffer;
 var Connection = require('../lib/connection').Connection;
+var credentials = require('../lib/credentials');
+var CloseTimeoutError = require('../lib/error').CloseTimeoutError;
 var HEARTBEAT = require('../lib/frame').HEARTBEAT;
 var HB_BUF = require('../lib/frame').HEARTBEAT_BUF;
 var util = require('./util');
@@ -110,6 +112,24 @@ test("happy", connectionTest(
     happy_open(send, wait).then(succeed(done), fail(done));
   }));
 
+test("a response bigger than the minimum frame max", function(done) {
+  // e.g., an OAuth2 token; the frame max is only settled after this
+  var both = latch(2, done);
+  var pair = util.socketPair();
+  var c = new Connection(pair.client);
+  var opts = {};
+  Object.keys(OPEN_OPTS).forEach(function(k) { opts[k] = OPEN_OPTS[k]; });
+  opts.response = Buffer.alloc(5000, 'x');
+  c.open(opts, kCallback(succeed(both), fail(both)));
+
+  pair.server.read(8); // the protocol header
+  var server = util.runServer(pair.server, function(send, wait) {
+    happy_open(send, wait).then(succeed(both), fail(both));
+  });
+  // so the fake server can read it
+  server.frameMax = 131072;
+});
+
 test("wrong first frame", connectionTest(
   function(c, done) {
     c.open(OPEN_OPTS, kCallback(fail(done), succeed(done)));
@@ -144,6 +164,127 @@ test("unexpected socket close", connectionTest(
 
 });
 
+suite("Connection open with challenges", function() {
+
+// Open with the credentials given, and have the server go through the
+// challenges (a list of [challenge, expected response] pairs) before
+// tuning the connection.
+function openWith(creds) {
+  var opts = Object.create(OPEN_OPTS);
+  opts.mechanism = creds.mechanism;
+  opts.response = creds.response();
+  opts.credentials = creds;
+  return opts;
+}
+
+function challengeServer(mechanism, initial, challenges) {
+  return function(send, wait, done) {
+    send(defs.ConnectionStart,
+         {versionMajor: 0,
+          versionMinor: 9,
+          serverProperties: {},
+          mechanisms: Buffer.from('PLAIN ' + mechanism),
+          locales: Buffer.from('en_US')});
+    var script = wait(defs.ConnectionStartOk)()
+      .then(function(f) {
+        assert.equal(mechanism, f.fields.mechanism);
+        assert.equal(initial, f.fields.response.toString());
+      });
+    challenges.forEach(function(step) {
+      script = script.then(function() {
+        send(defs.ConnectionSecure, {challenge: Buffer.from(step[0])});
+      })
+      .then(wait(defs.ConnectionSecureOk))
+      .then(function(f) {
+        assert.equal(step[1], f.fields.response.toString());
+      });
+    });
+    script.then(function() {
+      send(defs.ConnectionTune,
+           {channelMax: 0,
+            heartbeat: 0,
+            frameMax: 0});
+    })
+    .then(wait(defs.ConnectionTuneOk))
+    .then(wait(defs.ConnectionOpen))
+    .then(function() {
+      send(defs.ConnectionOpenOk, {knownHosts: ''});
+    })
+    .then(succeed(done), fail(done));
+  };
+}
+
+test("RABBIT-CR-DEMO", connectionTest(
+  function(c, done) {
+    var creds = credentials.rabbitCrDemo('user', 'secret');
+    c.open(openWith(creds), kCallback(succeed(done), fail(done)));
+  },
+  challengeServer('RABBIT-CR-DEMO', 'user',
+                  [['Please tell me your password',
+                    'My password is secret']])));
+
+test("several challenges", connectionTest(
+  function(c, done) {
+    var count = 0;
+    var creds = {
+      mechanism: 'COUNTING',
+      response: function() { return Buffer.from('0'); },
+      challenge: function(challenge) {
+        count++;
+        return Buffer.from(challenge.toString() + count);
+      }
+    };
+    c.open(openWith(creds), kCallback(succeed(done), fail(done)));
+  },
+  challengeServer('COUNTING', '0',
+                  [['a', 'a1'], ['b', 'b2'], ['c', 'c3']])));
+
+test("challenge not expected", connectionTest(
+  function(c, done) {
+    c.open(OPEN_OPTS, kCallback(fail(done), succeed(done)));
+  },
+  function(send, wait, done) {
+    send(defs.ConnectionStart,
+         {versionMajor: 0,
+          versionMinor: 9,
+          serverProperties: {},
+          mechanisms: Buffer.from('PLAIN'),
+          locales: Buffer.from('en_US')});
+    wait(defs.ConnectionStartOk)()
+      .then(function() {
+        send(defs.ConnectionSecure, {challenge: Buffer.from('what?')});
+      })
+      .then(succeed(done), fail(done));
+  }));
+
+test("challenge refused", connectionTest(
+  function(c, done) {
+    var creds = {
+      mechanism: 'REFUSING',
+      response: function() { return Buffer.from(''); },
+      challenge: function() { throw new Error('Not telling'); }
+    };
+    c.open(openWith(creds), function(err) {
+      if (err && err.message === 'Not telling') done();
+      else done(new Error('Expected challenge to fail handshake'));
+    });
+  },
+  function(send, wait, done) {
+    send(defs.ConnectionStart,
+         {versionMajor: 0,
+          versionMinor: 9,
+          serverProperties: {},
+          mechanisms: Buffer.from('REFUSING'),
+          locales: Buffer.from('en_US')});
+    wait(defs.ConnectionStartOk)()
+      .then(function() {
+        send(defs.ConnectionSecure, {challenge: Buffer.from('tell me')});
+      })
+      .then(succeed(done), fail(done));
+  }));
+
+});
+
 suite("Connection running", function() {
 
 test("wrong frame on channel 0", connectionTest(
@@ -165,6 +306,51 @@ test("wrong frame on channel 0", connectionTest(
       }).then(succeed(done), fail(done));
   }));
 
+test("update secret", connectionTest(
+  function(c, done) {
+    c.open(OPEN_OPTS, kCallback(function() {
+      c.updateSecret(Buffer.from('new secret'), 'because', function(err) {
+        if (err === null) done();
+        else done(err);
+      });
+    }, fail(done)));
+  },
+  function(send, wait, done) {
+    happy_open(send, wait)
+      .then(wait(defs.ConnectionUpdateSecret))
+      .then(function(f) {
+        assert.equal('new secret', f.fields.newSecret.toString());
+        assert.equal('because', f.fields.reason);
+        send(defs.ConnectionUpdateSecretOk, {}, 0);
+      })
+      .then(succeed(done), fail(done));
+  }));
+
+test("update secret then close", connectionTest(
+  function(c, done) {
+    var both = latch(2, done);
+    c.on('error', succeed(both));
+    c.open(OPEN_OPTS, kCallback(function() {
+      c.updateSecret(Buffer.from('bad secret'), 'because', function(err) {
+        if (err) both();
+        else both(new Error('Expected update to fail'));
+      });
+    }, fail(done)));
+  },
+  function(send, wait, done) {
+    happy_open(send, wait)
+      .then(wait(defs.ConnectionUpdateSecret))
+      .then(function() {
+        send(defs.ConnectionClose, {
+          replyText: 'ACCESS_REFUSED - token expired',
+          replyCode: defs.constants.ACCESS_REFUSED,
+          methodId: 0, classId: 0
+        }, 0);
+      })
+      .then(wait(defs.ConnectionCloseOk))
+      .then(succeed(done), fail(done));
+  }));
+
 test("unopened channel",  connectionTest(
   function(c, done) {
     c.on('error', succeed(done));
@@ -314,6 +500,33 @@ test("operator-intiated close", connectionTest(
   }));
 
 
+test("close timeout", connectionTest(
+  function(c, done0) {
+    var done = latch(2, done0);
+    c.closeTimeout = 10;
+    c.on('close', function(err) {
+      assert(err instanceof CloseTimeoutError);
+      // the socket is destroyed after the event
+      util.schedule(function() {
+        assert(c.stream.destroyed);
+        done();
+      });
+    });
+    c.open(OPEN_OPTS, kCallback(function() {
+      c.close(function(err) {
+        assert(err instanceof CloseTimeoutError);
+        assert.equal(10, err.timeout);
+        done();
+      });
+    }, done));
+  },
+  function(send, wait, done) {
+    // and never answer
+    happy_open(send, wait)
+      .then(wait(defs.ConnectionClose))
+      .then(succeed(done), fail(done));
+  }))
+
 test("double close", connectionTest(
   function(c, done) {
     c.open(OPEN_OPTS, kCallback(function() {
@@ -388,4 +601,79 @@ test("detect lack of heartbeats", connectionTest(
     // conspicuously not sending anything ...
   }));
 
+// Wait for `method`, skipping over any heartbeats the client sends
+function skipHeartbeats(wait, method) {
+  return function() {
+    return wait()().then(function(f) {
+      if (f === HEARTBEAT) return skipHeartbeats(wait, method)();
+      assert.equal(method, f.id);
+      return f;
+    });
+  };
+}
+
+test("heartbeat events", connectionTest(
+  function(c, done) {
+    var opts = Object.create(OPEN_OPTS);
+    opts.heartbeat = 1;
+    c.once('heartbeat', function(info) {
+      assert.equal(2 * heartbeat.UNITS_TO_MS, info.timeout);
+      assert(info.sinceRecv >= 0 && info.sinceRecv < info.timeout);
+      assert(info.sinceSend >= 0);
+      assert.equal(0, info.stalled);
+      c.close(kCallback(succeed(done), fail(done)));
+    });
+    c.open(opts);
+  },
+  function(send, wait, done) {
+    happy_open(send, wait)
+      .then(skipHeartbeats(wait, defs.ConnectionClose))
+      .then(function() {
+        send(defs.ConnectionCloseOk, {});
+      })
+      .then(succeed(done), fail(done));
+  }));
+
+test("tolerate more missed heartbeats", connectionTest(
+  function(c, done) {
+    var opts = Object.create(OPEN_OPTS);
+    opts.heartbeat = 1;
+    c.heartbeatTolerance = 4;
+    var opened;
+    c.on('error', function(err) {
+      assert.equal('Heartbeat timeout', err.message);
+      assert(Date.now() - opened >= 4 * heartbeat.UNITS_TO_MS);
+      done();
+    });
+    c.open(opts, function() { opened = Date.now(); });
+  },
+  function(send, wait, done) {
+    happy_open(send, wait)
+      .then(succeed(done), fail(done));
+  }));
+
+test("event loop stall is not a timeout", function() {
+  // Pretend the server went quiet a while ago, but that the event
+  // loop has been stalled for at least that long, so whatever it sent
+  // may not have been read yet
+  var now = heartbeat.now;
+  var silentSince = now() - 10 * heartbeat.UNITS_TO_MS;
+  var hb = new heartbeat.Heart(1, now, function() { return silentSince; });
+  hb.clear();
+  var infos = [], timeouts = 0;
+  hb.on('heartbeat', function(info) { infos.push(info); });
+  hb.on('timeout', function() { timeouts++; });
+
+  hb.lastCheck = silentSince;
+  hb.check();
+  assert(infos[0].stalled > 0);
+  assert.equal(0, timeouts);
+
+  // Now the loop is running freely, a silent server is a silent server
+  hb.lastCheck = now() - hb.checkMs;
+  hb.check();
+  assert.equal(0, infos[1].stalled);
+  assert.equal(1, timeouts);
+});
+
 });
@@ -89,7 +89,7 @@ var Timestamp = label('timestamp', transform(
 var Decimal = label('decimal', transform(
   function(args) {
     return {'!': 'decimal', value: {places: args[1], digits: args[0]}};
-  }, sequence(arb.UInt, Octet)));
+  }, sequence(Long, Octet)));
 
 // Signed 8 bit int
 var Byte = rangeInt('byte', -128, 127);
@@ -103,6 +103,9 @@ var ExInt = explicitType('int', Long);
 var ExInt32 = explicitType('int32', Long);
 var ExLong = explicitType('long', LongLong);
 var ExInt64 = explicitType('int64', LongLong);
+var ExUInt8 = explicitType('uint8', Octet);
+var ExUInt16 = explicitType('uint16', UShort);
+var ExUInt32 = explicitType('uint32', ULong);
 
 var FieldArray = label('field-array', recursive(function() {
   return arb.Array(
@@ -112,7 +115,8 @@ var FieldArray = label('field-array', recursive(function() {
     Byte, Short, Long, LongLong,
     ExByte, ExInt8, ExShort, ExInt16,
     ExInt, ExInt32, ExLong, ExInt64,
-    Bit, Float, Double, FieldTable, FieldArray)
+    ExUInt8, ExUInt16, ExUInt32,
+    Bit, Float, Double, Decimal, Timestamp, FieldTable, FieldArray)
 }));
 
 var FieldTable = label('table', recursive(function() {
@@ -124,7 +128,9 @@ var FieldTable = label('table', recursive(function() {
                  Byte, Short, Long, LongLong,
                  ExByte, ExInt8, ExShort, ExInt16,
                  ExInt, ExInt32, ExLong, ExInt64,
-                 Bit, Float, Double, FieldArray, FieldTable))
+                 ExUInt8, ExUInt16, ExUInt32,
+                 Bit, Float, Double, Decimal, Timestamp,
+                 FieldArray, FieldTable))
 }));
 
 // Internal tests of our properties
@@ -145,7 +151,8 @@ var domainProps = [
   [Decimal, function(d) {
     return d['!'] === 'decimal' &&
       d.value['places'] <= 255 &&
-      d.value['digits'] <= 0xffffffff;
+      d.value['digits'] >= -0x80000000 &&
+      d.value['digits'] < 0x80000000;
   }],
   [Timestamp, function(t) { return t['!'] === 'timestamp'; }],
   [FieldTable, function(t) { return typeof t === 'object'; }],
@@ -245,6 +252,9 @@ module.exports = {
   Float: Float,
   Timestamp: Timestamp,
   Decimal: Decimal,
+  ExUInt8: ExUInt8,
+  ExUInt16: ExUInt16,
+  ExUInt32: ExUInt32,
   FieldArray: FieldArray,
   FieldTable: FieldTable,
 
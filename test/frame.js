@@ -7,6 +7,7 @@ var Buffer = require('safe-buffer').Buffer;
 var connection = require('../lib/connection');
 var Frames = connection.Connection;
 var HEARTBEAT = require('../lib/frame').HEARTBEAT;
+var makeBodyFrame = require('../lib/frame').makeBodyFrame;
 var Stream = require('stream');
 var PassThrough = Stream.PassThrough ||
     require('readable-stream/passthrough');
@@ -46,6 +47,48 @@ suite("Explicit parsing", function() {
     assert(!frames.recvFrame());
   });
 
+  test('Parse byte by byte', function() {
+    var input = inputs();
+    var frames = new Frames(input);
+    var buf = defs.encodeMethod(defs.BasicQos, 1, {
+      prefetchSize: 0, prefetchCount: 10, global: false
+    });
+    for (var i = 0; i < buf.length - 1; i++) {
+      input.write(buf.slice(i, i + 1));
+      assert(!frames.recvFrame());
+    }
+    input.write(buf.slice(buf.length - 1));
+    var f = frames.recvFrame();
+    assert.equal(defs.BasicQos, f.id);
+    assert.equal(1, f.channel);
+    assert.equal(10, f.fields.prefetchCount);
+    assert(!frames.recvFrame());
+  });
+
+  test('Parse body frame across chunks', function() {
+    var input = inputs();
+    var frames = new Frames(input);
+    var body = makeBodyFrame(3, Buffer.from('hello world'));
+    input.write(Buffer.concat([HB, body.slice(0, 10)]));
+    input.write(body.slice(10, 12));
+    input.write(Buffer.concat([body.slice(12), HB]));
+    assert(frames.recvFrame() === HEARTBEAT);
+    var f = frames.recvFrame();
+    assert.equal(3, f.channel);
+    assert.equal('hello world', f.content.toString());
+    assert(frames.recvFrame() === HEARTBEAT);
+    assert(!frames.recvFrame());
+  });
+
+  test('Make body frame', function() {
+    var body = makeBodyFrame(258, Buffer.from('abc'));
+    assert.deepEqual(Buffer.from([defs.constants.FRAME_BODY,
+                                  1, 2, // channel 258
+                                  0, 0, 0, 3,
+                                  97, 98, 99,
+                                  defs.constants.FRAME_END]), body);
+  });
+
   function testBogusFrame(name, bytes) {
     test(name, function(done) {
       var input = inputs();
@@ -0,0 +1,508 @@
+'use strict';
+
+var assert = require('assert');
+var api = require('../channel_api');
+var mock = require('../mock');
+var mock_broker = require('../lib/mock_broker');
+var Promise = require('bluebird');
+var Buffer = require('safe-buffer').Buffer;
+
+var MOCK = 'amqp+mock://';
+var brokerCount = 0;
+
+// Each test gets its own broker, so nothing is left over from the
+// last one
+function mockURL() {
+  return MOCK + 'test' + (brokerCount++);
+}
+
+function brokerAt(url) {
+  return mock.broker(url.slice(MOCK.length).split('/')[0]);
+}
+
+function withChannel(url, k, confirm) {
+  return api.connect(url).then(function(c) {
+    c.on('error', function() {});
+    var open = (confirm) ? c.createConfirmChannel() : c.createChannel();
+    return open.then(function(ch) {
+      ch.on('error', function() {});
+      return Promise.resolve(k(ch, c)).finally(function() {
+        return c.close().catch(function() {});
+      });
+    });
+  });
+}
+
+// Wait for `n` messages from the queue; the messages are given in
+// order of delivery
+function consumeN(ch, queue, n, options) {
+  return new Promise(function(resolve) {
+    var got = [];
+    ch.consume(queue, function(msg) {
+      got.push(msg);
+      if (got.length === n) resolve(got);
+    }, options);
+  });
+}
+
+function contents(msgs) {
+  return msgs.map(function(m) { return m.content.toString(); });
+}
+
+teardown(function() { mock.reset(); });
+
+suite("Matching", function() {
+
+  test("topic patterns", function() {
+    var match = mock_broker.topicMatch;
+    assert(match('a.b.c', 'a.b.c'));
+    assert(match('a.*.c', 'a.b.c'));
+    assert(!match('a.*.c', 'a.c'));
+    assert(match('a.#', 'a'));
+    assert(match('a.#', 'a.b.c'));
+    assert(match('#.c', 'a.b.c'));
+    assert(match('#', ''));
+    assert(!match('a.*', 'a.b.c'));
+    assert(!match('a.b', 'a.b.c'));
+  });
+
+  test("header arguments", function() {
+    var match = mock_broker.headersMatch;
+    var headers = {format: 'pdf', type: 'report'};
+    assert(match({format: 'pdf', type: 'report'}, headers));
+    assert(!match({format: 'pdf', type: 'log'}, headers));
+    assert(match({'x-match': 'any', format: 'pdf', type: 'log'},
+                 headers));
+    assert(!match({'x-match': 'any', format: 'zip'}, headers));
+    assert(!match({format: 'pdf'}, undefined));
+  });
+});
+
+suite("Mock broker", function() {
+
+  test("connect and close", function() {
+    var url = mockURL();
+    return api.connect(url).then(function(c) {
+      assert.equal(1, brokerAt(url).connections.length);
+      return c.close();
+    });
+  });
+
+  test("send to a queue and get", function() {
+    return withChannel(mockURL(), function(ch) {
+      return ch.assertQueue('q').then(function(ok) {
+        assert.equal('q', ok.queue);
+        ch.sendToQueue('q', Buffer.from('hello'),
+                       {headers: {n: 1}, contentType: 'text/plain'});
+        return ch.get('q', {noAck: true});
+      }).then(function(msg) {
+        assert.equal('hello', msg.content.toString());
+        assert.equal('text/plain', msg.properties.contentType);
+        assert.equal(1, msg.properties.headers.n);
+        assert.equal('q', msg.fields.routingKey);
+        return ch.get('q');
+      }).then(function(msg) {
+        assert.strictEqual(false, msg);
+      });
+    });
+  });
+
+  test("server-named queues", function() {
+    return withChannel(mockURL(), function(ch) {
+      return ch.assertQueue('', {exclusive: true}).then(function(ok) {
+        assert(/^amq\.gen-/.test(ok.queue));
+      });
+    });
+  });
+
+  test("direct and fanout exchanges", function() {
+    return withChannel(mockURL(), function(ch) {
+      return Promise.all([
+        ch.assertExchange('fan', 'fanout'),
+        ch.assertQueue('q1'), ch.assertQueue('q2'),
+        ch.bindQueue('q1', 'amq.direct', 'one'),
+        ch.bindQueue('q1', 'fan', ''),
+        ch.bindQueue('q2', 'fan', '')
+      ]).then(function() {
+        ch.publish('amq.direct', 'one', Buffer.from('direct'));
+        ch.publish('amq.direct', 'two', Buffer.from('nowhere'));
+        ch.publish('fan', 'anything', Buffer.from('fanout'));
+        return Promise.all([consumeN(ch, 'q1', 2, {noAck: true}),
+                            consumeN(ch, 'q2', 1, {noAck: true})]);
+      }).then(function(got) {
+        assert.deepEqual(['direct', 'fanout'], contents(got[0]));
+        assert.deepEqual(['fanout'], contents(got[1]));
+      });
+    });
+  });
+
+  test("topic exchanges", function() {
+    return withChannel(mockURL(), function(ch) {
+      return Promise.all([
+        ch.assertQueue('q'),
+        ch.bindQueue('q', 'amq.topic', '*.orange.*'),
+        ch.bindQueue('q', 'amq.topic', 'lazy.#')
+      ]).then(function() {
+        ['quick.orange.rabbit', 'lazy.brown.fox', 'quick.brown.fox',
+         'lazy', 'orange'].forEach(function(key) {
+           ch.publish('amq.topic', key, Buffer.from(key));
+         });
+        return consumeN(ch, 'q', 3, {noAck: true});
+      }).then(function(got) {
+        assert.deepEqual(['quick.orange.rabbit', 'lazy.brown.fox', 'lazy'],
+                         contents(got));
+      });
+    });
+  });
+
+  test("headers exchanges", function() {
+    return withChannel(mockURL(), function(ch) {
+      return Promise.all([
+        ch.assertQueue('all'), ch.assertQueue('any'),
+        ch.bindQueue('all', 'amq.headers', '',
+                     {format: 'pdf', type: 'report'}),
+        ch.bindQueue('any', 'amq.headers', '',
+                     {'x-match': 'any', format: 'pdf', type: 'report'})
+      ]).then(function() {
+        ch.publish('amq.headers', '', Buffer.from('both'),
+                   {headers: {format: 'pdf', type: 'report'}});
+        ch.publish('amq.headers', '', Buffer.from('one'),
+                   {headers: {format: 'pdf', type: 'log'}});
+        return Promise.all([consumeN(ch, 'all', 1, {noAck: true}),
+                            consumeN(ch, 'any', 2, {noAck: true})]);
+      }).then(function(got) {
+        assert.deepEqual(['both'], contents(got[0]));
+        assert.deepEqual(['both', 'one'], contents(got[1]));
+      });
+    });
+  });
+
+  test("exchange to exchange bindings", function() {
+    return withChannel(mockURL(), function(ch) {
+      return Promise.all([
+        ch.assertExchange('src', 'topic'),
+        ch.assertExchange('dest', 'fanout'),
+        ch.assertQueue('q'),
+        ch.bindExchange('dest', 'src', 'a.*'),
+        ch.bindQueue('q', 'dest', '')
+      ]).then(function() {
+        ch.publish('src', 'b.c', Buffer.from('no'));
+        ch.publish('src', 'a.b', Buffer.from('yes'));
+        return consumeN(ch, 'q', 1, {noAck: true});
+      }).then(function(got) {
+        assert.deepEqual(['yes'], contents(got));
+      });
+    });
+  });
+
+  test("nack with requeue redelivers", function() {
+    return withChannel(mockURL(), function(ch) {
+      return ch.assertQueue('q').then(function() {
+        ch.sendToQueue('q', Buffer.from('again'));
+        return ch.get('q');
+      }).then(function(msg) {
+        assert(!msg.fields.redelivered);
+        ch.nack(msg);
+        return ch.get('q');
+      }).then(function(msg) {
+        assert.equal('again', msg.content.toString());
+        assert(msg.fields.redelivered);
+        ch.reject(msg, false);
+        return ch.checkQueue('q');
+      }).then(function(ok) {
+        assert.equal(0, ok.messageCount);
+      });
+    });
+  });
+
+  test("closing a channel requeues unacked messages", function() {
+    var url = mockURL();
+    return api.connect(url).then(function(c) {
+      return c.createChannel().then(function(ch) {
+        return ch.assertQueue('q').then(function() {
+          ch.sendToQueue('q', Buffer.from('unacked'));
+          return consumeN(ch, 'q', 1);
+        }).then(function() {
+          return ch.close();
+        });
+      }).then(function() {
+        var q = brokerAt(url).queue('q');
+        assert.equal(1, q.messageCount);
+        assert(q.messages[0].redelivered);
+        return c.close();
+      });
+    });
+  });
+
+  test("prefetch limits deliveries", function() {
+    return withChannel(mockURL(), function(ch) {
+      var got = [], onMessage;
+      return ch.assertQueue('q').then(function() {
+        return ch.prefetch(2);
+      }).then(function() {
+        for (var i = 0; i < 3; i++) ch.sendToQueue('q', Buffer.from('m'));
+        return new Promise(function(resolve) {
+          onMessage = function() { if (got.length === 2) resolve(); };
+          ch.consume('q', function(msg) {
+            got.push(msg);
+            onMessage();
+          });
+        });
+      }).then(function() {
+        // the third is held back until there's an ack
+        return ch.checkQueue('q');
+      }).then(function(ok) {
+        assert.equal(2, got.length);
+        assert.equal(1, ok.messageCount);
+        return new Promise(function(resolve) {
+          onMessage = resolve;
+          ch.ack(got[0]);
+        });
+      }).then(function() {
+        assert.equal(3, got.length);
+      });
+    });
+  });
+
+  test("flow stops deliveries", function() {
+    return withChannel(mockURL(), function(ch) {
+      var got = 0;
+      return ch.assertQueue('q').then(function() {
+        return ch.flow(false);
+      }).then(function(ok) {
+        assert.strictEqual(false, ok.active);
+        return ch.consume('q', function() { got++; });
+      }).then(function() {
+        ch.sendToQueue('q', Buffer.from('held'));
+        return ch.checkQueue('q');
+      }).then(function(ok) {
+        assert.equal(0, got);
+        assert.equal(1, ok.messageCount);
+        return ch.flow(true);
+      }).then(function() {
+        return ch.checkQueue('q');
+      }).then(function(ok) {
+        assert.equal(0, ok.messageCount);
+      });
+    });
+  });
+
+  test("publisher confirms", function() {
+    return withChannel(mockURL(), function(ch) {
+      var confirmed = 0;
+      return ch.assertQueue('q').then(function() {
+        for (var i = 0; i < 3; i++)
+          ch.sendToQueue('q', Buffer.from('m'), {}, function(err) {
+            if (err === null) confirmed++;
+          });
+        return ch.waitForConfirms();
+      }).then(function() {
+        assert.equal(3, confirmed);
+      });
+    }, true);
+  });
+
+  test("publish on a confirm channel returns a promise", function() {
+    return withChannel(mockURL(), function(ch) {
+      return ch.assertQueue('q').then(function() {
+        return Promise.all([
+          ch.sendToQueue('q', Buffer.from('a')),
+          ch.publish('', 'q', Buffer.from('b'), {confirmTimeout: 1000})
+        ]);
+      }).then(function() {
+        // publishing to a missing exchange closes the channel, and
+        // that's what the promise is rejected with
+        return ch.publish('nosuch', '', Buffer.from('c'));
+      }).then(function() {
+        throw new Error('Expected the publish to be rejected');
+      }, function(err) {
+        assert.equal(404, err.code);
+      });
+    }, true);
+  });
+
+  test("an ignored confirm promise is not an unhandled rejection",
+       function() {
+    var unhandled = [];
+    function onUnhandled(err) { unhandled.push(err); }
+    process.on('unhandledRejection', onUnhandled);
+    return withChannel(mockURL(), function(ch) {
+      // the promise is dropped on the floor; `waitForConfirms` is
+      // where the failure shows up
+      ch.publish('nosuch', '', Buffer.from('a'));
+      return ch.waitForConfirms().then(function() {
+        throw new Error('Expected waitForConfirms to be rejected');
+      }, function(err) {
+        assert.equal(404, err.code);
+        // give any unhandled rejection time to be reported
+      }).delay(20);
+    }, true).finally(function() {
+      process.removeListener('unhandledRejection', onUnhandled);
+      assert.deepEqual([], unhandled);
+    });
+  });
+
+  test("publishAsync waits for a full buffer to drain", function() {
+    return api.connect(mockURL()).then(function(c) {
+      return c.createChannel({highWaterMark: 1}).then(function(ch) {
+        return ch.assertQueue('q').then(function() {
+          // with room for only one frame, every message fills the buffer
+          assert(!ch.publish('', 'q', Buffer.from('a')));
+          return Promise.each(['b', 'c'], function(m) {
+            return ch.publishAsync('', 'q', Buffer.from(m));
+          });
+        }).then(function() {
+          return consumeN(ch, 'q', 3, {noAck: true});
+        }).then(function(msgs) {
+          assert.deepEqual(['a', 'b', 'c'], contents(msgs));
+        });
+      }).finally(function() { return c.close(); });
+    });
+  });
+
+  test("mandatory messages that can't be routed are returned", function() {
+    return withChannel(mockURL(), function(ch) {
+      return new Promise(function(resolve) {
+        ch.on('return', resolve);
+        ch.publish('amq.direct', 'nobody', Buffer.from('back'),
+                   {mandatory: true});
+      }).then(function(msg) {
+        assert.equal('back', msg.content.toString());
+        assert.equal(312, msg.fields.replyCode);
+        assert.equal('nobody', msg.fields.routingKey);
+      });
+    });
+  });
+
+  test("CC and BCC headers", function() {
+    return withChannel(mockURL(), function(ch) {
+      return Promise.all([
+        ch.assertQueue('a'), ch.assertQueue('b'), ch.assertQueue('c')
+      ]).then(function() {
+        ch.sendToQueue('a', Buffer.from('m'), {CC: 'b', BCC: ['c']});
+        return Promise.all(['a', 'b', 'c'].map(function(q) {
+          return ch.get(q, {noAck: true});
+        }));
+      }).then(function(msgs) {
+        msgs.forEach(function(msg) {
+          assert.equal('m', msg.content.toString());
+          assert.deepEqual(['b'], msg.properties.headers.CC);
+          assert.equal(undefined, msg.properties.headers.BCC);
+        });
+      });
+    });
+  });
+
+  test("deleting a queue cancels its consumers", function() {
+    return withChannel(mockURL(), function(ch) {
+      return ch.assertQueue('q').then(function() {
+        return new Promise(function(resolve) {
+          ch.consume('q', function(msg) {
+            if (msg === null) resolve();
+          }).then(function() {
+            return ch.deleteQueue('q');
+          });
+        });
+      });
+    });
+  });
+
+  test("a missing queue closes the channel", function() {
+    return withChannel(mockURL(), function(ch, c) {
+      return ch.checkQueue('nosuch').then(function() {
+        throw new Error('Expected a 404');
+      }, function(err) {
+        assert.equal(404, err.code);
+        // the connection is still good
+        return c.createChannel();
+      }).then(function(ch2) {
+        return ch2.checkExchange('amq.fanout');
+      });
+    });
+  });
+
+  test("inequivalent declarations", function() {
+    return withChannel(mockURL(), function(ch) {
+      return ch.assertExchange('x', 'fanout').then(function() {
+        return ch.assertExchange('x', 'topic');
+      }).then(function() {
+        throw new Error('Expected a 406');
+      }, function(err) {
+        assert.equal(406, err.code);
+      });
+    });
+  });
+
+  test("exclusive queues are locked and deleted", function() {
+    var url = mockURL();
+    return api.connect(url).then(function(c1) {
+      return c1.createChannel().then(function(ch) {
+        return ch.assertQueue('mine', {exclusive: true});
+      }).then(function() {
+        return withChannel(url, function(ch) {
+          return ch.checkQueue('mine').then(function() {
+            throw new Error('Expected a 405');
+          }, function(err) {
+            assert.equal(405, err.code);
+          });
+        });
+      }).then(function() {
+        return c1.close();
+      }).then(function() {
+        assert.equal(undefined, brokerAt(url).queue('mine'));
+      });
+    });
+  });
+
+  test("vhosts are kept apart", function() {
+    var url = mockURL();
+    return withChannel(url + '/one', function(ch) {
+      return ch.assertQueue('q');
+    }).then(function() {
+      var broker = brokerAt(url);
+      assert(broker.queue('q', 'one'));
+      assert.equal(undefined, broker.queue('q'));
+    });
+  });
+
+  test("blocked and unblocked", function() {
+    var url = mockURL();
+    return api.connect(url).then(function(c) {
+      var broker = brokerAt(url);
+      return new Promise(function(resolve) {
+        c.on('blocked', function(reason) {
+          assert.equal('low on memory', reason);
+          broker.unblock();
+        });
+        c.on('unblocked', resolve);
+        broker.block();
+      }).then(function() {
+        return c.close();
+      });
+    });
+  });
+
+  test("broker closes connections", function() {
+    var url = mockURL();
+    return api.connect(url).then(function(c) {
+      return new Promise(function(resolve) {
+        c.on('error', function() {});
+        c.on('close', resolve);
+        brokerAt(url).closeConnections('testing');
+      }).then(function(err) {
+        assert.equal(320, err.code);
+        assert(/testing/.test(err.message));
+      });
+    });
+  });
+
+  test("connect with a Broker's socket factory", function() {
+    var broker = new mock.Broker();
+    return api.connect('amqp://localhost',
+                       {socketFactory: broker.socketFactory})
+      .then(function(c) {
+        assert.equal(1, broker.connections.length);
+        return c.close();
+      });
+  });
+});
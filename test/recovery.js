@@ -0,0 +1,373 @@
+'use strict';
+
+var assert = require('assert');
+var Promise = require('bluebird');
+var defs = require('../lib/defs');
+var Connection = require('../lib/connection').Connection;
+var ChannelModel = require('../lib/channel_model').ChannelModel;
+var recovery = require('../lib/recovery');
+var Recovery = recovery.Recovery;
+var util = require('./util');
+var succeed = util.succeed, fail = util.fail, latch = util.latch;
+var conn_handshake = require('./connection').connection_handshake;
+var OPEN_OPTS = require('./connection').OPEN_OPTS;
+var Buffer = require('safe-buffer').Buffer;
+
+// Make a connection to a fake server, which does the opening
+// handshake then runs `server(send, wait, socket)`. The connection is
+// handed to the node-style callback once open.
+function fakeConnect(server, cb) {
+  var pair = util.socketPair();
+  var c = new Connection(pair.client);
+  c.open(OPEN_OPTS, function(err) {
+    if (err === null) cb(null, c);
+    else cb(err);
+  });
+  pair.server.read(8); // discard the protocol header
+  util.runServer(pair.server, function(send, wait) {
+    conn_handshake(send, wait)
+      .then(function() {
+        return server(send, wait, pair.server);
+      })
+      .then(null, function(err) {
+        // so that whatever the client is waiting for fails
+        pair.client.emit('error', err);
+      });
+  });
+}
+
+// A recovery that connects to each of the servers given in turn
+function recoveryFor(servers, options) {
+  var i = 0;
+  return new Recovery(function(cb) {
+    var server = servers[i++];
+    if (server) fakeConnect(server, cb);
+    else cb(new Error('No more servers'));
+  }, options);
+}
+
+// Answer the RPC `method` with `reply` on whichever channel it
+// arrives, resolving to the request frame
+function answer(send, wait, method, Reply, fields) {
+  return wait(method)().then(function(f) {
+    send(Reply, fields || {}, f.channel);
+    return f;
+  });
+}
+
+// Frames sent by the fake server go through a channel buffer and the
+// muxer before being written to the socket, so give them a moment
+// before cutting the connection.
+function drop(socket) {
+  setTimeout(socket.end.bind(socket), 10);
+}
+
+var FAST = {initialDelay: 1, maxDelay: 10, factor: 2};
+
+suite("Backoff", function() {
+
+  test("defaults", function() {
+    var b = recovery.backoff(true);
+    assert.equal(1000, b(1));
+    assert.equal(2000, b(2));
+    assert.equal(4000, b(3));
+    assert.equal(30000, b(10));
+  });
+
+  test("options", function() {
+    var b = recovery.backoff({initialDelay: 100, factor: 3,
+                              maxDelay: 500, maxAttempts: 3});
+    assert.equal(100, b(1));
+    assert.equal(300, b(2));
+    assert.equal(500, b(3));
+    assert.equal(-1, b(4));
+  });
+
+  test("given procedure", function() {
+    function policy(attempt) { return attempt * 5; }
+    assert.strictEqual(policy, recovery.backoff({backoff: policy}));
+  });
+
+});
+
+suite("Recovery", function() {
+
+  test("replay topology, prefetch and consumers", function(done) {
+    var consumed = false;
+
+    function first(send, wait, socket) {
+      return answer(send, wait, defs.ChannelOpen, defs.ChannelOpenOk,
+                    {channelId: Buffer.from('')})
+        .then(function() {
+          return answer(send, wait, defs.ExchangeDeclare,
+                        defs.ExchangeDeclareOk);
+        })
+        .then(function() {
+          return answer(send, wait, defs.QueueDeclare, defs.QueueDeclareOk,
+                        {queue: 'amq.gen-1', messageCount: 0,
+                         consumerCount: 0});
+        })
+        .then(function() {
+          return answer(send, wait, defs.QueueBind, defs.QueueBindOk);
+        })
+        .then(function() {
+          return answer(send, wait, defs.BasicQos, defs.BasicQosOk);
+        })
+        .then(function() {
+          return answer(send, wait, defs.BasicConsume, defs.BasicConsumeOk,
+                        {consumerTag: 'ctag'});
+        })
+        .then(function() { drop(socket); });
+    }
+
+    function second(send, wait) {
+      return answer(send, wait, defs.ChannelOpen, defs.ChannelOpenOk,
+                    {channelId: Buffer.from('')})
+        .then(function() {
+          return answer(send, wait, defs.ExchangeDeclare,
+                        defs.ExchangeDeclareOk);
+        })
+        .then(function(f) {
+          assert.equal('ex', f.fields.exchange);
+          // a server-named queue gets a new name
+          return answer(send, wait, defs.QueueDeclare, defs.QueueDeclareOk,
+                        {queue: 'amq.gen-2', messageCount: 0,
+                         consumerCount: 0});
+        })
+        .then(function(f) {
+          assert.equal('', f.fields.queue);
+          return answer(send, wait, defs.QueueBind, defs.QueueBindOk);
+        })
+        .then(function(f) {
+          assert.equal('amq.gen-2', f.fields.queue);
+          assert.equal('ex', f.fields.exchange);
+          return answer(send, wait, defs.ChannelClose, defs.ChannelCloseOk);
+        })
+        .then(function() {
+          return answer(send, wait, defs.ChannelOpen, defs.ChannelOpenOk,
+                        {channelId: Buffer.from('')});
+        })
+        .then(function() {
+          return answer(send, wait, defs.BasicQos, defs.BasicQosOk);
+        })
+        .then(function(f) {
+          assert.equal(10, f.fields.prefetchCount);
+          return answer(send, wait, defs.BasicConsume, defs.BasicConsumeOk,
+                        {consumerTag: 'ctag'});
+        })
+        .then(function(f) {
+          assert.equal('amq.gen-2', f.fields.queue);
+          assert.equal('ctag', f.fields.consumerTag);
+          send(defs.BasicDeliver, {
+            consumerTag: 'ctag', deliveryTag: 1, redelivered: false,
+            exchange: 'ex', routingKey: 'rk'
+          }, f.channel, Buffer.from('after recovery'));
+        });
+    }
+
+    var r = recoveryFor([second], FAST);
+    fakeConnect(first, function(err, conn) {
+      if (err !== null) return done(err);
+      var model = new ChannelModel(conn, r);
+      var events = latch(2, function(err) {
+        if (err) return done(err);
+        assert(consumed);
+        done();
+      });
+      model.on('reconnecting', function(info) {
+        assert.equal(1, info.attempt);
+        assert(info.error instanceof Error);
+      });
+      model.on('recovered', succeed(events));
+      model.on('error', fail(events));
+      model.on('close', fail(events));
+
+      model.createChannel().then(function(ch) {
+        ch.on('close', function() {
+          events(new Error('Channel should not close'));
+        });
+        return ch.assertExchange('ex', 'direct')
+          .then(function() { return ch.assertQueue(''); })
+          .then(function(ok) {
+            return ch.bindQueue(ok.queue, 'ex', 'rk');
+          })
+          .then(function() { return ch.prefetch(10); })
+          .then(function() {
+            return ch.consume('amq.gen-1', function(msg) {
+              if (msg.content.toString() === 'after recovery') {
+                consumed = true;
+                events();
+              }
+            });
+          });
+      }).then(null, done);
+    });
+  });
+
+  test("restore flow", function(done) {
+    function first(send, wait, socket) {
+      return answer(send, wait, defs.ChannelOpen, defs.ChannelOpenOk,
+                    {channelId: Buffer.from('')})
+        .then(function() {
+          return answer(send, wait, defs.ChannelFlow, defs.ChannelFlowOk,
+                        {active: false});
+        })
+        .then(function() { drop(socket); });
+    }
+
+    function second(send, wait) {
+      return answer(send, wait, defs.ChannelOpen, defs.ChannelOpenOk,
+                    {channelId: Buffer.from('')})
+        .then(function() {
+          return answer(send, wait, defs.ChannelFlow, defs.ChannelFlowOk,
+                        {active: false});
+        })
+        .then(function(f) {
+          assert.strictEqual(false, f.fields.active);
+        });
+    }
+
+    var r = recoveryFor([second], FAST);
+    fakeConnect(first, function(err, conn) {
+      if (err !== null) return done(err);
+      var model = new ChannelModel(conn, r);
+      model.on('recovered', succeed(done));
+      model.on('error', fail(done));
+      model.createChannel().then(function(ch) {
+        return ch.flow(false);
+      }).then(null, done);
+    });
+  });
+
+  test("give up", function(done) {
+    function first(send, wait, socket) {
+      return answer(send, wait, defs.ChannelOpen, defs.ChannelOpenOk,
+                    {channelId: Buffer.from('')})
+        .then(function() { drop(socket); });
+    }
+
+    var r = recoveryFor([], {initialDelay: 1, maxAttempts: 2});
+    fakeConnect(first, function(err, conn) {
+      if (err !== null) return done(err);
+      var model = new ChannelModel(conn, r);
+      var attempts = 0;
+      var all = latch(3, function(err) {
+        if (err) return done(err);
+        assert.equal(2, attempts);
+        done();
+      });
+      model.on('reconnecting', function() { attempts++; });
+      model.on('recovered', fail(all));
+      model.on('error', succeed(all));
+      model.on('close', succeed(all));
+      model.createChannel().then(function(ch) {
+        ch.on('close', succeed(all));
+      }, fail(all));
+    });
+  });
+
+  test("close while waiting to reconnect", function(done) {
+    function first(send, wait, socket) {
+      return answer(send, wait, defs.ChannelOpen, defs.ChannelOpenOk,
+                    {channelId: Buffer.from('')})
+        .then(function() { drop(socket); });
+    }
+
+    var r = recoveryFor([], {initialDelay: 1000});
+    fakeConnect(first, function(err, conn) {
+      if (err !== null) return done(err);
+      var model = new ChannelModel(conn, r);
+      var closed = latch(2, done);
+      model.on('reconnecting', function() {
+        model.close().then(null, fail(closed));
+      });
+      model.on('close', succeed(closed));
+      model.createChannel().then(function(ch) {
+        ch.on('close', succeed(closed));
+      }, fail(closed));
+    });
+  });
+
+  test("errors that leave the connection open are passed on",
+       function(done) {
+    function first(send, wait) {
+      return wait(defs.ConnectionClose)()
+        .then(function() {
+          send(defs.ConnectionCloseOk, {});
+        });
+    }
+
+    var r = recoveryFor([], FAST);
+    fakeConnect(first, function(err, conn) {
+      if (err !== null) return done(err);
+      var model = new ChannelModel(conn, r);
+      model.on('reconnecting', fail(done));
+      model.on('error', function(err) {
+        assert.equal('Failed to refresh token', err.message);
+        model.close();
+      });
+      model.on('close', succeed(done));
+      var e = new Error('Failed to refresh token');
+      e.closesConnection = false;
+      conn.emit('error', e);
+    });
+  });
+
+  test("drain while restoring topology", function(done) {
+    var model;
+
+    function first(send, wait, socket) {
+      return answer(send, wait, defs.ChannelOpen, defs.ChannelOpenOk,
+                    {channelId: Buffer.from('')})
+        .then(function() {
+          return answer(send, wait, defs.ExchangeDeclare,
+                        defs.ExchangeDeclareOk);
+        })
+        .then(function() { drop(socket); });
+    }
+
+    function second(send, wait) {
+      return answer(send, wait, defs.ChannelOpen, defs.ChannelOpenOk,
+                    {channelId: Buffer.from('')})
+        .then(wait(defs.ExchangeDeclare))
+        .then(function() {
+          // the channel redeclaring the exchange is open, and it isn't
+          // one of the model's, so it has nothing to drain
+          model.drain().then(succeed(done), fail(done));
+          return wait(defs.ConnectionClose)();
+        })
+        .then(function() {
+          send(defs.ConnectionCloseOk, {});
+        });
+    }
+
+    var r = recoveryFor([second], FAST);
+    fakeConnect(first, function(err, conn) {
+      if (err !== null) return done(err);
+      model = new ChannelModel(conn, r);
+      model.on('recovered', fail(done));
+      model.createChannel().then(function(ch) {
+        return ch.assertExchange('ex', 'direct');
+      }).then(null, done);
+    });
+  });
+
+  test("no recovery after closing", function(done) {
+    function first(send, wait) {
+      return wait(defs.ConnectionClose)()
+        .then(function() {
+          send(defs.ConnectionCloseOk, {});
+        });
+    }
+
+    var r = recoveryFor([], FAST);
+    fakeConnect(first, function(err, conn) {
+      if (err !== null) return done(err);
+      var model = new ChannelModel(conn, r);
+      model.on('reconnecting', fail(done));
+      model.on('close', succeed(done));
+      model.close();
+    });
+  });
+
+});
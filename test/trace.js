@@ -0,0 +1,173 @@
+'use strict';
+
+var assert = require('assert');
+var Promise = require('bluebird');
+var Channel = require('../lib/channel').Channel;
+var Connection = require('../lib/connection').Connection;
+var trace = require('../lib/trace');
+var defs = require('../lib/defs');
+var util = require('./util');
+var succeed = util.succeed, fail = util.fail, latch = util.latch;
+var conn_handshake = require('./connection').connection_handshake;
+var OPEN_OPTS = require('./connection').OPEN_OPTS;
+var Buffer = require('safe-buffer').Buffer;
+
+var dc;
+try { dc = require('diagnostics_channel'); }
+catch (_e) { dc = null; }
+
+var maybeSuite = (dc) ? suite : suite.skip;
+
+// Open a connection and a channel to a pretend server; `client` is
+// called with the connection and the open channel, and `server`
+// gets the usual `send` and `wait` once it's answered the channel
+// open.
+function traceTest(client, server) {
+  return function(done) {
+    var bothDone = latch(2, done);
+    var pair = util.socketPair();
+    var c = new Connection(pair.client);
+    client(c, bothDone);
+
+    pair.server.read(8); // discard the protocol header
+    util.runServer(pair.server, function(send, wait) {
+      conn_handshake(send, wait)
+        .then(wait(defs.ChannelOpen))
+        .then(function(open) {
+          send(defs.ChannelOpenOk, {channelId: Buffer.from('')},
+               open.channel);
+          return server(send, wait);
+        })
+        .then(succeed(bothDone), fail(bothDone));
+    });
+  };
+}
+
+function openChannel(c) {
+  return Promise.fromCallback(function(cb) {
+    c.open(OPEN_OPTS, cb);
+  }).then(function() {
+    var ch = new Channel(c);
+    ch.allocate();
+    return Promise.fromCallback(function(cb) {
+      ch._rpc(defs.ChannelOpen, {outOfBand: ''}, defs.ChannelOpenOk, cb);
+    }).then(function() { return ch; });
+  });
+}
+
+var PUBLISH_FIELDS = {
+  exchange: 'foo', routingKey: 'bar',
+  mandatory: false, immediate: false, ticket: 0
+};
+
+function waitForMessage(wait) {
+  return wait(defs.BasicPublish)()
+    .then(wait(defs.BasicProperties))
+    .then(wait(undefined));
+}
+
+maybeSuite("Frame tracing", function() {
+
+  test("publish events for frames in and out", traceTest(
+    function(c, done) {
+      var events = [];
+      function collect(e) { if (e.connection === c) events.push(e); }
+      dc.subscribe(trace.IN_TOPIC, collect);
+      dc.subscribe(trace.OUT_TOPIC, collect);
+
+      function stop() {
+        dc.unsubscribe(trace.IN_TOPIC, collect);
+        dc.unsubscribe(trace.OUT_TOPIC, collect);
+      }
+
+      openChannel(c)
+        .then(function(ch) {
+          ch.sendMessage(PUBLISH_FIELDS, {headers: {foo: 'bar'}},
+                         Buffer.from('foobar'));
+          stop();
+          assert.deepEqual([
+            'in ConnectionStart', 'out ConnectionStartOk',
+            'in ConnectionTune', 'out ConnectionTuneOk',
+            'out ConnectionOpen', 'in ConnectionOpenOk',
+            'out ChannelOpen', 'in ChannelOpenOk',
+            'out BasicPublish', 'out BasicProperties', 'out undefined'
+          ], events.map(function(e) {
+            return e.direction + ' ' + e.name;
+          }));
+
+          var publish = events[8], header = events[9], body = events[10];
+          assert.equal('method', publish.type);
+          assert.equal(ch.ch, publish.channel);
+          assert.equal(defs.BasicPublish, publish.id);
+          assert.equal('bar', publish.fields.routingKey);
+
+          assert.equal('header', header.type);
+          assert.equal(6, header.size);
+          assert.equal('bar', header.fields.headers.foo);
+
+          assert.equal('body', body.type);
+          assert.equal(ch.ch, body.channel);
+          assert.equal(6, body.size);
+          assert.equal(6 + defs.FRAME_OVERHEAD, body.frameSize);
+
+          var openOk = events[7];
+          assert.equal('method', openOk.type);
+          assert.equal(ch.ch, openOk.channel);
+          assert(openOk.frameSize > defs.FRAME_OVERHEAD);
+        })
+        .then(succeed(done), function(err) {
+          stop();
+          fail(done)(err);
+        });
+    },
+    function(send, wait) {
+      return waitForMessage(wait);
+    }));
+
+  test("print a transcript", traceTest(
+    function(c, done) {
+      var lines = [];
+      var stop = trace.printTranscript(function(line) {
+        lines.push(line);
+      }, false);
+
+      openChannel(c)
+        .then(function(ch) {
+          ch.sendMessage(PUBLISH_FIELDS, {}, Buffer.from('foobar'));
+          stop();
+          var count = lines.length;
+          // Both ends of the conversation are traced, since the
+          // pretend server uses a Connection too
+          assert.notEqual(-1, lines.indexOf('-> <ConnectionStart channel:0>'));
+          assert.notEqual(-1, lines.indexOf('<- <ConnectionStart channel:0>'));
+          assert.equal('-> <BasicPublish channel:1>', lines[count - 3]);
+          assert.equal('-> <BasicProperties channel:1>', lines[count - 2]);
+          assert.equal('-> <Content channel:1 size:6>', lines[count - 1]);
+          ch.sendMessage(PUBLISH_FIELDS, {}, Buffer.from('foobar'));
+          assert.equal(count, lines.length);
+        })
+        .then(succeed(done), fail(done));
+    },
+    function(send, wait) {
+      return waitForMessage(wait).then(function() {
+        return waitForMessage(wait);
+      });
+    }));
+
+  test("print fields", function() {
+    var lines = [];
+    var stop = trace.printTranscript(function(line) {
+      lines.push(line);
+    });
+    trace.methodOut({}, 1, defs.BasicAck, {deliveryTag: 3, multiple: false},
+                    21);
+    stop();
+    trace.methodOut({}, 1, defs.BasicAck, {deliveryTag: 4, multiple: false},
+                    21);
+    assert.equal(1, lines.length);
+    assert.equal('-> <BasicAck channel:1 ' +
+                 JSON.stringify({deliveryTag: 3, multiple: false},
+                                undefined, 2) + '>',
+                 lines[0]);
+  });
+});
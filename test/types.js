@@ -0,0 +1,103 @@
+'use strict';
+
+// Check the TypeScript declarations, by compiling some code that uses
+// them (see ./types/).
+
+var assert = require('assert');
+var path = require('path');
+var fs = require('fs');
+
+var ts;
+try { ts = require('typescript'); }
+catch (_e) { ts = null; } // it won't run on the oldest Node.JS versions
+
+var maybeSuite = (ts) ? suite : suite.skip;
+
+function fixture(name) {
+  return path.join(__dirname, 'types', name);
+}
+
+var program = null;
+
+// Compiling is slow enough that it's worth doing only once
+function compile() {
+  if (program === null) {
+    program = ts.createProgram([
+      fixture('channel_api.ts'),
+      fixture('callback_api.ts'),
+      fixture('mock.ts'),
+      fixture('mistakes.ts')
+    ], {
+      noEmit: true,
+      strict: true,
+      noUnusedLocals: false,
+      target: ts.ScriptTarget.ES2020,
+      module: ts.ModuleKind.CommonJS,
+      moduleResolution: ts.ModuleResolutionKind.Node10,
+      types: ['node']
+    });
+  }
+  return program;
+}
+
+function diagnostics(name) {
+  var p = compile();
+  var file = p.getSourceFile(fixture(name));
+  return p.getSyntacticDiagnostics(file)
+    .concat(p.getSemanticDiagnostics(file));
+}
+
+function describe(d) {
+  var message = ts.flattenDiagnosticMessageText(d.messageText, '\n');
+  if (!d.file) return message;
+  var pos = d.file.getLineAndCharacterOfPosition(d.start);
+  return (pos.line + 1) + ': ' + message;
+}
+
+function lineOf(d) {
+  return d.file.getLineAndCharacterOfPosition(d.start).line + 1;
+}
+
+maybeSuite("TypeScript declarations", function() {
+
+  this.timeout(60000);
+
+  test("the declarations themselves compile", function() {
+    var p = compile();
+    var errors = p.getGlobalDiagnostics().concat(
+      p.getSourceFiles().filter(function(f) {
+        return /\.d\.ts$/.test(f.fileName) &&
+          f.fileName.indexOf('node_modules') < 0;
+      }).reduce(function(acc, f) {
+        return acc.concat(p.getSemanticDiagnostics(f));
+      }, []));
+    assert.deepEqual([], errors.map(describe));
+  });
+
+  test("the promise API", function() {
+    assert.deepEqual([], diagnostics('channel_api.ts').map(describe));
+  });
+
+  test("the callback API", function() {
+    assert.deepEqual([], diagnostics('callback_api.ts').map(describe));
+  });
+
+  test("the mock broker", function() {
+    assert.deepEqual([], diagnostics('mock.ts').map(describe));
+  });
+
+  test("mistakes are caught", function() {
+    var expected = [];
+    fs.readFileSync(fixture('mistakes.ts'), 'utf8').split('\n')
+      .forEach(function(line, i) {
+        if (/\/\/ error$/.test(line)) expected.push(i + 1);
+      });
+    var lines = diagnostics('mistakes.ts').map(lineOf);
+    expected.forEach(function(line) {
+      assert(lines.indexOf(line) > -1, 'Expected an error at line ' + line);
+    });
+    lines.forEach(function(line) {
+      assert(expected.indexOf(line) > -1, 'Unexpected error at line ' + line);
+    });
+  });
+});
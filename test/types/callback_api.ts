@@ -0,0 +1,33 @@
+// Compiled (but not run) by ../types.js, to check the declarations
+// describe how the callback API is used.
+
+import * as amqp from '../../callback_api';
+
+amqp.connect('amqp://localhost', {closeTimeout: 1000}, (err, conn) => {
+  if (err) throw err;
+  conn.createChannel((err, ch) => {
+    if (err) throw err;
+    ch.assertQueue('q', {durable: false}, (err, ok) => {
+      const name: string = ok.queue;
+      ch.sendToQueue(name, Buffer.from('hello'), {priority: 1});
+      ch.consume(name, (msg) => {
+        if (msg !== null) ch.ack(msg);
+      }, {noAck: false}, (err, ok) => {
+        const tag: string = ok.consumerTag;
+      });
+      ch.get(name, {}, (err, msg) => {
+        if (msg) ch.nack(msg, false, true);
+      });
+    });
+  });
+  conn.createConfirmChannel({highWaterMark: 16}, (err, ch) => {
+    ch.publish('', 'q', Buffer.from('x'), {mandatory: true}, (err) => {});
+    ch.waitForConfirms((err) => {
+      conn.close();
+    });
+  });
+});
+
+amqp.connect((err, conn) => {
+  if (!err) conn.drain({timeout: 500}, (err) => {});
+});
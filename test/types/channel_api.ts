@@ -0,0 +1,76 @@
+// Compiled (but not run) by ../types.js, to check the declarations
+// describe how the promise API is used.
+
+import * as amqp from '../../channel_api';
+
+async function main() {
+  const conn: amqp.ChannelModel = await amqp.connect('amqp://localhost', {
+    heartbeatTolerance: 3,
+    useBigInt: true,
+    whenBlocked: 'wait',
+    recover: {initialDelay: 100, maxAttempts: 5},
+    credentials: amqp.credentials.plain('guest', 'guest')
+  });
+  conn.on('error', (err: Error) => console.error(err));
+  const frameMax: number = conn.negotiated.frameMax;
+  const canNack: boolean = conn.supports('basic.nack');
+
+  const ch = await conn.createChannel({highWaterMark: 64});
+  const ok = await ch.assertQueue('', {
+    exclusive: true, messageTtl: 1000, arguments: {'x-queue-type': 'classic'}
+  });
+  const name: string = ok.queue;
+  const count: number = ok.messageCount;
+  await ch.assertExchange('logs', 'topic', {alternateExchange: 'spare'});
+  await ch.bindQueue(name, 'logs', '#');
+  await ch.prefetch(10);
+  ch.on('flow', (active: boolean) => {});
+  const {active} = await ch.flow(false);
+
+  const sent: boolean | Promise<boolean> =
+    ch.publish('logs', 'a.b', Buffer.from('hi'), {
+      persistent: true, contentType: 'text/plain', timestamp: new Date(),
+      headers: {n: 1}, CC: ['c.d'], expiration: 60000
+    });
+  await ch.publishAsync('logs', 'a.b', Buffer.from('hi'), {persistent: true});
+
+  const {consumerTag} = await ch.consume(name, (msg) => {
+    if (msg === null) return;
+    const key: string = msg.fields.routingKey;
+    const tag: number | bigint = msg.fields.deliveryTag;
+    const type: string | undefined = msg.properties.contentType;
+    const text: string = msg.content.toString();
+    ch.ack(msg);
+  }, {noAck: false, priority: 5, requireCancelNotify: true});
+  await ch.consume(name, (msg) => {
+    if (msg !== null) msg.content.pipe(process.stdout);
+  }, {streamContent: true});
+  await ch.cancel(consumerTag);
+
+  const got = await ch.get(name, {noAck: true});
+  if (got !== false) {
+    const remaining: number = got.fields.messageCount;
+  }
+  ch.on('return', (msg: amqp.ReturnedMessage) => {
+    const code: number = msg.fields.replyCode;
+  });
+
+  const confirms = await conn.createConfirmChannel({confirmTimeout: 5000});
+  await confirms.publish('logs', 'a.b', Buffer.from('z'),
+                         {confirmTimeout: 100});
+  try { await confirms.sendToQueue(name, Buffer.from('z')); }
+  catch (err) {
+    if (err instanceof amqp.ConfirmTimeoutError) console.log(err.timeout);
+  }
+  confirms.sendToQueue(name, Buffer.from('x'), {}, (err) => {
+    if (err !== null) console.error(err);
+  });
+  await confirms.publishAsync('', name, Buffer.from('y'), {}, (err) => {});
+  await confirms.waitForConfirms();
+
+  const stop = amqp.trace.printTranscript((line: string) => {});
+  stop();
+
+  await ch.deleteQueue(name, {ifEmpty: true});
+  await conn.drain({timeout: 1000});
+}
@@ -0,0 +1,20 @@
+// Compiled by ../types.js, which expects an error for each line
+// marked with `// error`; this is to check the declarations do
+// actually rule things out.
+
+import * as amqp from '../../channel_api';
+import * as mock from '../../mock';
+
+async function mistakes(ch: amqp.Channel, conn: amqp.ChannelModel) {
+  await ch.assertQueue('q', {durable: 'yes'}); // error
+  await ch.assertExchange('x', 'topic', {alternateExchange: 1}); // error
+  ch.publish('x', 'key', 'not a buffer'); // error
+  ch.publish('x', 'key', Buffer.from(''), {whenBlocked: 'later'}); // error
+  await ch.consume('q', (msg) => {}, {noack: true}); // error
+  const q: number = (await ch.checkQueue('q')).queue; // error
+  await conn.createChannel().then((c) => c.waitForConfirms()); // error
+  await amqp.connect('amqp://localhost', {heartbeatTolerance: '3'}); // error
+  const confirms = await conn.createConfirmChannel();
+  const ok: boolean = await confirms.publish('x', '', Buffer.from('')); // error
+  const n: number = mock.broker('test').queue('q').messageCount; // error
+}
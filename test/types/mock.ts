@@ -0,0 +1,30 @@
+// Compiled (but not run) by ../types.js, to check the declarations
+// describe how the mock broker is used.
+
+import * as amqp from '../../channel_api';
+import * as mock from '../../mock';
+
+async function main() {
+  const conn = await amqp.connect('amqp+mock://test');
+  const broker: mock.Broker = mock.broker('test');
+  const q = broker.queue('tasks');
+  if (q !== undefined) {
+    const count: number = q.messageCount;
+    const body: string = q.messages[0].content.toString();
+    const type: string | undefined = q.messages[0].properties.contentType;
+  }
+  const ex = broker.exchange('logs', '/');
+  if (ex) {
+    ex.bindings.forEach((b) => {
+      const toQueue: boolean = b.destinationType === 'queue';
+    });
+  }
+  broker.block('low on memory');
+  broker.unblock();
+  broker.closeConnections();
+  mock.reset();
+
+  const own = new mock.Broker();
+  await amqp.connect('amqp+mock://', {socketFactory: own.socketFactory});
+  await conn.close();
+}
@@ -3,9 +3,7 @@
 var Promise = require('bluebird');
 var crypto = require('crypto');
 var Connection = require('../lib/connection').Connection;
-var PassThrough =
-  require('stream').PassThrough ||
-  require('readable-stream/passthrough');
+var socketPair = require('../lib/socket_pair').socketPair;
 var defs = require('../lib/defs');
 var assert = require('assert');
 
@@ -18,38 +16,6 @@ function randomString() {
   return hash.digest('base64');
 }
 
-
-// Set up a socket pair {client, server}, such that writes to the
-// client are readable from the server, and writes to the server are
-// readable at the client.
-//
-//          +---+      +---+
-//          | C |      | S |
-// --write->| l |----->| e |--read-->
-//          | i |      | r |
-// <--read--| e |<-----| v |<-write--
-//          | n |      | e |
-//          | t |      | r |
-//          +---+      +---+
-//
-// I also need to make sure that end called on either socket affects
-// the other.
-
-function socketPair() {
-  var server = new PassThrough();
-  var client = new PassThrough();
-  server.write = client.push.bind(client);
-  client.write = server.push.bind(server);
-  function end(chunk, encoding) {
-    if (chunk) this.push(chunk, encoding);
-    this.push(null);
-  }
-  server.end = end.bind(client);
-  client.end = end.bind(server);
-
-  return {client: client, server: server};
-}
-
 function runServer(socket, run) {
   var frames = new Connection(socket);
   // We will be closing the socket without doing a closing handshake,